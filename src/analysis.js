@@ -0,0 +1,461 @@
+/**
+ * SchematicViewer - Netlist Analysis
+ * Graph analyses over the laid-out elements (feedback loops and related checks)
+ */
+
+// Key identifying the wire(s) from one element to another
+function feedbackEdgeKey(sourceId, targetId) {
+    return `${sourceId}->${targetId}`;
+}
+
+// Find feedback loops in the netlist.
+// Returns { backEdges, registeredLoops, combinationalLoops } where backEdges is a Set
+// of edge keys to ignore when computing the layout, registeredLoops lists the element
+// IDs of each legal loop (broken by a register), and combinationalLoops lists the
+// element IDs along each loop that has no register in it.
+function analyzeFeedback(elements) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+
+    // Source element IDs feeding each element
+    const sourcesOf = new Map();
+    elements.forEach(element => {
+        const sources = getInputConnections(element)
+            .map(input => input.sourceId)
+            .filter(sourceId => elementsById.has(sourceId));
+        sourcesOf.set(element.id, [...new Set(sources)]);
+    });
+
+    const backEdges = new Set();
+    const registeredLoops = [];
+    const combinationalLoops = [];
+
+    // File position of each element, so loops are entered in a stable order
+    const order = new Map(elements.map((element, index) => [element.id, index]));
+
+    findStronglyConnectedComponents(elements, sourcesOf).forEach(component => {
+        const members = new Set(component);
+        const isLoop = component.length > 1 || sourcesOf.get(component[0]).includes(component[0]);
+        if (!isLoop) return;
+
+        // A loop with no register in it runs through combinational elements only
+        const combinational = component.filter(id => !isRegisteredElement(elementsById.get(id)));
+        const loops = findRemainingLoops(combinational, new Set(combinational), sourcesOf, new Set());
+        combinationalLoops.push(...loops);
+
+        if (loops.length === 0) {
+            registeredLoops.push(component);
+        }
+
+        findClosingWires(component, members, sourcesOf, order)
+            .forEach(key => backEdges.add(key));
+    });
+
+    return { backEdges, registeredLoops, combinationalLoops };
+}
+
+// Wires that close the loops of a strongly connected component: following the data flow
+// from where the loop is entered, each wire that returns to an element already on the path.
+// In a registered loop that is usually the wire out of the register feeding the entry.
+// Returns their edge keys.
+function findClosingWires(component, members, sourcesOf, order) {
+    const byOrder = (a, b) => order.get(a) - order.get(b);
+
+    // Consumers of each member inside the component, following the data flow
+    const consumersOf = new Map(component.map(id => [id, []]));
+    component.slice().sort(byOrder).forEach(targetId => {
+        sourcesOf.get(targetId)
+            .filter(sourceId => members.has(sourceId))
+            .forEach(sourceId => consumersOf.get(sourceId).push(targetId));
+    });
+
+    // Start where the loop is entered from outside, then from anything left over
+    const entries = component.filter(id => sourcesOf.get(id).some(sourceId => !members.has(sourceId))).sort(byOrder);
+    const starts = entries.concat(component.slice().sort(byOrder));
+
+    const closing = [];
+    const state = new Map(); // undefined: unvisited, 1: on the current path, 2: done
+
+    function visit(id) {
+        state.set(id, 1);
+        consumersOf.get(id).forEach(consumerId => {
+            if (state.get(consumerId) === 1) {
+                closing.push(feedbackEdgeKey(id, consumerId));
+            } else if (!state.has(consumerId)) {
+                visit(consumerId);
+            }
+        });
+        state.set(id, 2);
+    }
+
+    starts.forEach(id => {
+        if (!state.has(id)) visit(id);
+    });
+
+    return closing;
+}
+
+// Whether an element's output is registered, so that a loop through it is legal: any
+// primitive with a latency of at least one cycle (a register, or a pipelined operator,
+// including one that takes the default latency), the same rule the layout, simulation
+// and Verilog export use
+function isRegisteredElement(element) {
+    if (!element) return false;
+    if (element.type === 'module') return isRegisteredModule(element);
+    return getElementLatency(element) > 0;
+}
+
+// A collapsed module breaks a loop when every path from its inputs to its
+// outputs passes through a register (or a pipelined operator)
+function isRegisteredModule(module) {
+    const components = module.components || [];
+    if (components.length === 0) return false;
+
+    const componentsById = new Map(components.map(component => [component.id, component]));
+
+    // Components whose output depends combinationally on a module input
+    const combinational = new Map();
+    const visiting = new Set();
+
+    function dependsOnInput(component) {
+        if (combinational.has(component.id)) return combinational.get(component.id);
+        if (isRegisteredElement(component) || visiting.has(component.id)) return false;
+
+        visiting.add(component.id);
+        const result = getInputConnections(component).some(input => {
+            const source = componentsById.get(input.sourceId);
+            // Anything outside the module is reached through a module input
+            return source ? dependsOnInput(source) : true;
+        });
+        visiting.delete(component.id);
+
+        combinational.set(component.id, result);
+        return result;
+    }
+
+    return Object.values(module.outputs || {}).flat().every(reference => {
+        if (typeof reference !== 'string') return true;
+        const driver = componentsById.get(reference.split('.')[0]);
+        return !driver || !dependsOnInput(driver);
+    });
+}
+
+// Tarjan's algorithm over the element graph (edges run from source to consumer).
+// Returns a list of components, each a list of element IDs.
+function findStronglyConnectedComponents(elements, sourcesOf) {
+    // Consumers of each element, following the direction of data flow
+    const consumersOf = new Map(elements.map(element => [element.id, []]));
+    sourcesOf.forEach((sources, targetId) => {
+        sources.forEach(sourceId => consumersOf.get(sourceId).push(targetId));
+    });
+
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let nextIndex = 0;
+
+    function visit(id) {
+        indices.set(id, nextIndex);
+        lowLinks.set(id, nextIndex);
+        nextIndex++;
+        stack.push(id);
+        onStack.add(id);
+
+        consumersOf.get(id).forEach(consumerId => {
+            if (!indices.has(consumerId)) {
+                visit(consumerId);
+                lowLinks.set(id, Math.min(lowLinks.get(id), lowLinks.get(consumerId)));
+            } else if (onStack.has(consumerId)) {
+                lowLinks.set(id, Math.min(lowLinks.get(id), indices.get(consumerId)));
+            }
+        });
+
+        if (lowLinks.get(id) === indices.get(id)) {
+            const component = [];
+            let memberId;
+            do {
+                memberId = stack.pop();
+                onStack.delete(memberId);
+                component.push(memberId);
+            } while (memberId !== id);
+            components.push(component.reverse());
+        }
+    }
+
+    elements.forEach(element => {
+        if (!indices.has(element.id)) {
+            visit(element.id);
+        }
+    });
+
+    return components;
+}
+
+// Find loops among the given elements (members, as a Set) that do not use any of the given
+// back edges. Each loop is returned as element IDs in data-flow order.
+function findRemainingLoops(component, members, sourcesOf, backEdges) {
+    const loops = [];
+    const state = new Map(); // undefined: unvisited, 1: on the current path, 2: done
+    const path = [];
+
+    function visit(id) {
+        state.set(id, 1);
+        path.push(id);
+
+        // Walk against the data flow (towards sources), skipping the back edges
+        sourcesOf.get(id)
+            .filter(sourceId => members.has(sourceId) && !backEdges.has(feedbackEdgeKey(sourceId, id)))
+            .forEach(sourceId => {
+                if (state.get(sourceId) === 1) {
+                    // The path from sourceId back to id, reversed into data-flow order
+                    const loop = path.slice(path.indexOf(sourceId)).reverse();
+                    loops.push(loop);
+                    // Break the loop at its closing wire so the layout can still be computed
+                    backEdges.add(feedbackEdgeKey(sourceId, id));
+                } else if (!state.has(sourceId)) {
+                    visit(sourceId);
+                }
+            });
+
+        path.pop();
+        state.set(id, 2);
+    }
+
+    component.forEach(id => {
+        if (!state.has(id)) {
+            visit(id);
+        }
+    });
+
+    return loops;
+}
+
+// Compare the cycles at which operands arrive at each element with several inputs.
+// Returns one entry per input that arrives earlier than its latest sibling:
+// { elementId, port, lane, sourceId, arrival, expected, slack }, where slack is the
+// number of registers needed to line the operand up with its siblings.
+// A module instance need not get all its inputs at once: each input is due when the
+// definition first reads it (see getModuleInputOffsets), and inputs it never reads are
+// not checked.
+function analyzePipelineBalance(elements, feedback) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    const mismatches = [];
+
+    elements.forEach(element => {
+        const offsets = element.type === 'module' ? getModuleInputOffsets(element) : null;
+        const offsetOf = input => {
+            if (!offsets) return 0;
+            const lane = `${input.port}[${input.index}]`;
+            if (input.index !== null && offsets.has(lane)) return offsets.get(lane);
+            return offsets.get(input.port);
+        };
+
+        // Feedback wires are not part of the forward schedule
+        const inputs = getInputConnections(element).filter(input =>
+            elementsById.has(input.sourceId)
+            && !feedback.backEdges.has(feedbackEdgeKey(input.sourceId, element.id))
+            && offsetOf(input) !== undefined);
+
+        if (inputs.length < 2) return;
+
+        // Arrivals relative to when each input is due, so the latest sets the schedule
+        const arrivals = inputs.map(input => getOutputReadyCycle(elementsById.get(input.sourceId)));
+        const start = Math.max(...inputs.map((input, index) => arrivals[index] - offsetOf(input)));
+
+        inputs.forEach((input, index) => {
+            const expected = start + offsetOf(input);
+            if (arrivals[index] < expected) {
+                mismatches.push({
+                    elementId: element.id,
+                    port: input.port,
+                    lane: input.index,
+                    sourceId: input.sourceId,
+                    arrival: arrivals[index],
+                    expected: expected,
+                    slack: expected - arrivals[index]
+                });
+            }
+        });
+    });
+
+    return mismatches;
+}
+
+// Clock cycle at which an element's output is available to its consumers
+function getOutputReadyCycle(element) {
+    return element.clock_cycle;
+}
+
+// Insert register chains so that every operand arrives in the same cycle as its
+// latest sibling. Edits the source diagram data in place and returns
+// { inserted, skipped }: the number of registers added and a message for each
+// mismatch that could not be fixed automatically.
+function insertBalancingRegisters(source, layoutElements) {
+    const mismatches = analyzePipelineBalance(layoutElements, analyzeFeedback(layoutElements));
+    const layoutById = new Map(layoutElements.map(element => [element.id, element]));
+    const elements = Array.isArray(source) ? source : source.elements;
+    const definitions = Array.isArray(source) ? {} : (source.moduleDefinitions || {});
+
+    const result = { inserted: 0, skipped: [] };
+
+    // Register chains built so far, per element list, keyed by the connection they delay
+    const chains = new Map();
+    // Inputs already rewired (several instances can share one definition)
+    const fixed = new Set();
+
+    mismatches.forEach(mismatch => {
+        const target = layoutById.get(mismatch.elementId);
+        const portName = mismatch.lane === null ? mismatch.port : `${mismatch.port}[${mismatch.lane}]`;
+        let list;
+        let targetData;
+        let scope;
+
+        if (target.parentModule) {
+            // Skew between two internal components is fixed once in the module definition
+            const sourceElement = layoutById.get(mismatch.sourceId);
+            if (!sourceElement || sourceElement.parentModule !== target.parentModule) {
+                result.skipped.push(`${mismatch.elementId}.${portName}: the early operand comes from outside module ${target.parentModule}; balance the module's inputs instead`);
+                return;
+            }
+
+            // The module may be nested inside another, so look it up in the parsed diagram
+            const module = findElementById(target.parentModule);
+            const definition = module ? definitions[module.moduleType] : null;
+            if (!definition || !Array.isArray(definition.components)) {
+                result.skipped.push(`${mismatch.elementId}.${portName}: module ${target.parentModule} has no definition to edit`);
+                return;
+            }
+
+            // Components made by generate or reduce exist only once the definition is elaborated
+            list = definition.components;
+            targetData = list.find(component => component.id === target.localId);
+            if (!targetData || targetData.generate || targetData.reduce) {
+                result.skipped.push(`${mismatch.elementId}.${portName}: ${target.localId} is produced by generate or reduce in module definition ${module.moduleType}, which cannot be edited automatically; add the registers to the definition by hand`);
+                return;
+            }
+
+            // A register count that fits one set of parameter values can be wrong for another
+            if (definition.parameters && Object.keys(definition.parameters).length > 0) {
+                result.skipped.push(`${mismatch.elementId}.${portName}: module definition ${module.moduleType} has parameters, so the registers it needs depend on their values; add them to the definition by hand`);
+                return;
+            }
+            scope = `moduleDefinitions.${module.moduleType}`;
+        } else {
+            list = elements;
+            targetData = elements.find(element => element.id === mismatch.elementId);
+            scope = 'elements';
+        }
+
+        if (!targetData || !targetData.inputs) {
+            result.skipped.push(`${mismatch.elementId}.${portName}: element not found in the diagram data`);
+            return;
+        }
+
+        const fixKey = `${scope}|${targetData.id}|${portName}`;
+        if (fixed.has(fixKey)) return;
+        fixed.add(fixKey);
+
+        const value = targetData.inputs[mismatch.port];
+        const connection = mismatch.lane === null ? value : value[mismatch.lane];
+
+        if (!chains.has(list)) {
+            chains.set(list, new Map());
+        }
+        const delayed = getRegisterChain(list, connection, mismatch.slack, chains.get(list), result);
+
+        if (mismatch.lane === null) {
+            targetData.inputs[mismatch.port] = delayed;
+        } else {
+            value[mismatch.lane] = delayed;
+        }
+    });
+
+    return result;
+}
+
+// Return the output of a chain of `length` registers delaying `connection`, adding
+// registers to the element list as needed. Chains are shared between consumers.
+function getRegisterChain(list, connection, length, chains, result) {
+    if (!chains.has(connection)) {
+        chains.set(connection, []);
+    }
+    const chain = chains.get(connection);
+
+    // Base name for new registers: "bias.out" -> "bias", "$.input[1]" -> "input1"
+    const baseName = connection.startsWith('$.')
+        ? connection.slice(2).replace(/\[(\d+)\]/, '$1')
+        : connection.split('.')[0];
+
+    const usedIds = new Set(list.map(element => element.id));
+
+    while (chain.length < length) {
+        const previous = chain.length === 0 ? connection : `${chain[chain.length - 1]}.out`;
+
+        let id = `${baseName}_dly${chain.length + 1}`;
+        for (let suffix = 1; usedIds.has(id); suffix++) {
+            id = `${baseName}_dly${chain.length + 1}_${suffix}`;
+        }
+        usedIds.add(id);
+
+        // Keep the chain next to its source (or the end of the chain so far)
+        const anchorId = chain.length === 0 ? connection.split('.')[0] : chain[chain.length - 1];
+        const anchorIndex = list.findIndex(element => element.id === anchorId);
+        const register = { id: id, type: 'reg', inputs: { in: previous } };
+
+        if (anchorIndex >= 0) {
+            list.splice(anchorIndex + 1, 0, register);
+        } else {
+            list.push(register);
+        }
+
+        chain.push(id);
+        result.inserted++;
+    }
+
+    return `${chain[length - 1]}.out`;
+}
+
+// Elements that influence an element ('fanin') or that it affects ('fanout'), following
+// the wires transitively. Returns a Set of element IDs that includes the element itself.
+function getElementCone(elements, elementId, direction) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+
+    // Neighbours of each element in the direction being followed
+    const next = new Map(elements.map(element => [element.id, []]));
+    elements.forEach(element => {
+        getInputConnections(element).forEach(input => {
+            if (!elementsById.has(input.sourceId)) return;
+            if (direction === 'fanin') {
+                next.get(element.id).push(input.sourceId);
+            } else {
+                next.get(input.sourceId).push(element.id);
+            }
+        });
+    });
+
+    const cone = new Set([elementId]);
+    const queue = [elementId];
+    while (queue.length > 0) {
+        (next.get(queue.shift()) || []).forEach(id => {
+            if (!cone.has(id)) {
+                cone.add(id);
+                queue.push(id);
+            }
+        });
+    }
+    return cone;
+}
+
+// Elements on any path between two elements, whichever one feeds the other.
+// Returns an empty Set when neither reaches the other.
+function getElementsBetween(elements, firstId, secondId) {
+    const between = (fromId, toId) => {
+        const fanout = getElementCone(elements, fromId, 'fanout');
+        const fanin = getElementCone(elements, toId, 'fanin');
+        return new Set([...fanout].filter(id => fanin.has(id)));
+    };
+
+    const forward = between(firstId, secondId);
+    return forward.size > 0 ? forward : between(secondId, firstId);
+}
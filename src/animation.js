@@ -0,0 +1,183 @@
+/**
+ * SchematicViewer - Signal Flow Animation
+ * Plays the pipeline schedule back one clock cycle at a time: active elements light
+ * up, the current column is emphasized and tokens travel along the wires
+ */
+
+// Playback options
+const flowConfig = {
+    interval: 900 // Milliseconds per cycle while playing
+};
+
+// Cycle being shown (null when the animation is off) and the playback timer
+let flowCycle = null;
+let flowTimer = null;
+
+// Show a clock cycle, optionally animating tokens along the wires leaving it
+function setFlowCycle(cycle, animateTokens = true) {
+    flowCycle = Math.max(0, Math.min(cycle, currentPipelineDepth));
+    renderFlowState(animateTokens);
+}
+
+// Apply the current flow cycle to the diagram (called again after every re-render)
+function renderFlowState(animateTokens = false) {
+    diagram.selectAll('.flow-tokens').remove();
+    gridGroup.selectAll('.flow-column').remove();
+    diagram.selectAll('.primitive').classed('flow-active', false);
+    diagram.selectAll('.connection').classed('flow-active', false);
+    gridGroup.selectAll('.clock-cycle-label').classed('flow-current', false);
+
+    updateFlowControls();
+    if (flowCycle === null) return;
+
+    // Elements working in this cycle: from their first column to the one where their output is ready
+    diagram.selectAll('.primitive')
+        .classed('flow-active', d => isActiveInCycle(d, flowCycle));
+
+    // Emphasize the current column
+    const bottom = Math.max(gridConfig.spacing.y, ...currentLayoutElements.map(element => element.position.y)) + gridConfig.spacing.y;
+    gridGroup.insert('rect', ':first-child')
+        .attr('class', 'flow-column')
+        .attr('x', flowCycle * gridConfig.spacing.x)
+        .attr('y', -gridConfig.spacing.y)
+        .attr('width', gridConfig.spacing.x)
+        .attr('height', bottom + gridConfig.spacing.y);
+    gridGroup.selectAll('.clock-cycle-label')
+        .classed('flow-current', d => d === flowCycle);
+
+    // Wires carrying results that become ready in this cycle
+    const elementsById = new Map(currentLayoutElements.map(element => [element.id, element]));
+    const leaving = diagram.selectAll('.connection')
+        .filter(d => connectionSources(d).some(sourceId => {
+            const source = elementsById.get(sourceId);
+            return source && source.clock_cycle === flowCycle;
+        }))
+        .classed('flow-active', true);
+
+    if (animateTokens) {
+        animateFlowTokens(leaving);
+    }
+}
+
+// Whether an element is busy in a clock cycle
+function isActiveInCycle(element, cycle) {
+    const start = element.clock_cycle - getSpanColumns(element);
+    return cycle >= start && cycle <= element.clock_cycle;
+}
+
+// Move a token from the source to the target end of each wire
+function animateFlowTokens(connections) {
+    const layer = diagram.append('g').attr('class', 'flow-tokens');
+
+    connections.each(function() {
+        const path = this;
+        // Bus wires are drawn as several separate strokes; only single strokes carry a token
+        const strokes = (path.getAttribute('d') || '').match(/M/g) || [];
+        if (typeof path.getTotalLength !== 'function' || strokes.length !== 1) return;
+
+        const length = path.getTotalLength();
+        const start = path.getPointAtLength(0);
+
+        layer.append('circle')
+            .attr('class', 'flow-token')
+            .attr('r', 4)
+            .attr('transform', `translate(${start.x}, ${start.y})`)
+            .transition()
+            .duration(flowConfig.interval * 0.8)
+            .ease(d3.easeCubicInOut)
+            .attrTween('transform', () => t => {
+                const point = path.getPointAtLength(t * length);
+                return `translate(${point.x}, ${point.y})`;
+            })
+            .remove();
+    });
+}
+
+// Start playing from the current cycle (or from the beginning once the end is reached)
+function playFlow() {
+    if (flowTimer || !currentSource) return;
+
+    if (flowCycle === null || flowCycle >= currentPipelineDepth) {
+        setFlowCycle(0);
+    }
+
+    flowTimer = setInterval(() => {
+        if (flowCycle >= currentPipelineDepth) {
+            pauseFlow();
+            return;
+        }
+        setFlowCycle(flowCycle + 1);
+    }, flowConfig.interval);
+    updateFlowControls();
+}
+
+// Stop at the current cycle
+function pauseFlow() {
+    if (flowTimer) {
+        clearInterval(flowTimer);
+        flowTimer = null;
+    }
+    updateFlowControls();
+}
+
+// Advance one cycle, starting the animation if it is off
+function stepFlow() {
+    if (!currentSource) return;
+    pauseFlow();
+    setFlowCycle(flowCycle === null ? 0 : flowCycle + 1);
+}
+
+// Turn the animation off and remove its highlights
+function stopFlow() {
+    pauseFlow();
+    flowCycle = null;
+    renderFlowState();
+}
+
+// Keep the playback controls in step with the animation state
+function updateFlowControls() {
+    const play = document.getElementById('flow-play');
+    const scrubber = document.getElementById('flow-scrubber');
+    const label = document.getElementById('flow-cycle');
+
+    if (play) {
+        play.textContent = flowTimer ? 'Pause' : 'Play';
+    }
+    if (scrubber) {
+        scrubber.max = currentPipelineDepth;
+        scrubber.value = flowCycle === null ? 0 : flowCycle;
+    }
+    if (label) {
+        label.textContent = flowCycle === null ? '' : `c${flowCycle} / c${currentPipelineDepth}`;
+    }
+}
+
+// Wire up the playback controls in the controls panel
+function setupFlowControls() {
+    const play = document.getElementById('flow-play');
+    const step = document.getElementById('flow-step');
+    const stop = document.getElementById('flow-stop');
+    const scrubber = document.getElementById('flow-scrubber');
+
+    if (play) {
+        play.addEventListener('click', () => {
+            if (flowTimer) {
+                pauseFlow();
+            } else {
+                playFlow();
+            }
+        });
+    }
+
+    if (step) step.addEventListener('click', stepFlow);
+    if (stop) stop.addEventListener('click', stopFlow);
+
+    // Scrubbing jumps straight to a cycle
+    if (scrubber) {
+        scrubber.addEventListener('input', () => {
+            if (!currentSource) return;
+            pauseFlow();
+            setFlowCycle(parseInt(scrubber.value, 10));
+        });
+    }
+}
@@ -0,0 +1,398 @@
+/**
+ * SchematicViewer - Bit Widths
+ * Fixed-point type inference: declared widths on inputs and module ports are carried
+ * through the netlist and shown on the wires and in tooltips
+ */
+
+// Display options and the widest signal allowed before it is flagged
+const bitWidthConfig = {
+    showTypes: false,
+    maxWidth: 32
+};
+
+// Types inferred for the rendered diagram, keyed by "elementId.port"
+let currentSignalTypes = new Map();
+
+// Fixed-point type declared on an element or module port through its width, signed
+// (default true) and frac (default 0) properties, or null when it declares no valid width
+function getDeclaredType(item) {
+    if (!item || item.width === undefined || checkTypeDeclaration(item)) return null;
+    return {
+        width: item.width,
+        signed: item.signed !== false,
+        frac: item.frac || 0
+    };
+}
+
+// Problem with a type declaration, or null when it is valid (or absent)
+function checkTypeDeclaration(item) {
+    if (item.width === undefined) {
+        if (item.signed !== undefined || item.frac !== undefined) {
+            return 'signed and frac need a width';
+        }
+        return null;
+    }
+    if (!Number.isInteger(item.width) || item.width < 1) {
+        return `width ${JSON.stringify(item.width)} must be a whole number of bits (at least 1)`;
+    }
+    if (item.signed !== undefined && typeof item.signed !== 'boolean') {
+        return `signed ${JSON.stringify(item.signed)} must be true or false`;
+    }
+    if (item.frac !== undefined && (!Number.isInteger(item.frac) || item.frac < 0)) {
+        return `frac ${JSON.stringify(item.frac)} must be a whole number of bits`;
+    }
+    return null;
+}
+
+// Short form of a type for wire labels: "s16.8" is signed, 16 bits, 8 of them fractional
+function formatSignalType(type) {
+    if (!type) return '?';
+    return `${type.signed ? 's' : 'u'}${type.width}${type.frac ? `.${type.frac}` : ''}`;
+}
+
+// Longer form for tooltips, e.g. "signed 16 bits (8 fractional)"
+function describeSignalType(type) {
+    if (!type) return 'unknown';
+    const frac = type.frac ? ` (${type.frac} fractional)` : '';
+    return `${type.signed ? 'signed' : 'unsigned'} ${type.width} bit${type.width === 1 ? '' : 's'}${frac}`;
+}
+
+// Bits left of the binary point, counting the sign bit an unsigned value gains
+// when it is combined into a signed result
+function integerBits(type, signedResult) {
+    return type.width - type.frac + (signedResult && !type.signed ? 1 : 0);
+}
+
+// Smallest width holding every integer from low to high
+function rangeWidth(low, high, signed) {
+    let width = 1;
+    if (signed) {
+        while (low < -(2 ** (width - 1)) || high > 2 ** (width - 1) - 1) width++;
+    } else {
+        while (high > 2 ** width - 1) width++;
+    }
+    return width;
+}
+
+// Result type of a primitive output port from the types of its operands (null when one
+// is unknown)
+function inferPrimitiveType(primitive, operand, port = 'out') {
+    if (!hasValidBitRange(primitive)) return null;
+
+    switch (primitive.type) {
+        case 'output':
+        case 'reg':
+            return operand('in');
+
+        case 'add': {
+            // Operands are aligned on their binary point; the sum needs one more bit
+            const a = operand('in1');
+            const b = operand('in2');
+            if (!a || !b) return null;
+            const signed = a.signed || b.signed;
+            const frac = Math.max(a.frac, b.frac);
+            const integer = Math.max(integerBits(a, signed), integerBits(b, signed)) + 1;
+            return { width: integer + frac, signed: signed, frac: frac };
+        }
+
+        case 'mul': {
+            const a = operand('in1');
+            const b = operand('in2');
+            if (!a || !b) return null;
+            return { width: a.width + b.width, signed: a.signed || b.signed, frac: a.frac + b.frac };
+        }
+
+        case 'relu2': {
+            // The square of a non-negative value: twice the magnitude bits, no sign
+            const a = operand('in');
+            if (!a) return null;
+            const magnitude = a.width - (a.signed ? 1 : 0);
+            return { width: Math.max(2 * magnitude, 1), signed: false, frac: 2 * a.frac };
+        }
+
+        case 'clamp': {
+            // Narrowed to the range of its min and max properties, where given
+            const a = operand('in');
+            if (!a) return null;
+            const scale = 2 ** a.frac;
+            const inputLow = a.signed ? -(2 ** (a.width - 1)) : 0;
+            const inputHigh = a.signed ? 2 ** (a.width - 1) - 1 : 2 ** a.width - 1;
+            const low = Number.isFinite(primitive.min) ? Math.max(Math.round(primitive.min * scale), inputLow) : inputLow;
+            const high = Number.isFinite(primitive.max) ? Math.min(Math.round(primitive.max * scale), inputHigh) : inputHigh;
+            const signed = low < 0;
+            return { width: rangeWidth(low, Math.max(high, low), signed), signed: signed, frac: a.frac };
+        }
+
+        // Bit operators work on the raw bits, so their results are integers
+        case 'slice':
+            return { width: primitive.msb - primitive.lsb + 1, signed: false, frac: 0 };
+
+        case 'split': {
+            // The low part is always "at" bits; the high part keeps the sign of the input
+            if (port === 'lo') return { width: primitive.at, signed: false, frac: 0 };
+            const a = operand('in');
+            if (!a) return null;
+            return { width: Math.max(a.width - primitive.at, 1), signed: a.signed, frac: 0 };
+        }
+
+        case 'concat': {
+            const hi = operand('hi');
+            if (!hi) return null;
+            return { width: hi.width + primitive.at, signed: hi.signed, frac: 0 };
+        }
+
+        case 'mux': {
+            const a = operand('in0');
+            const b = operand('in1');
+            return a && b ? widerType(a, b) : null;
+        }
+
+        case 'divmod': {
+            // The quotient can be as large as the dividend (one bit more when dividing by -1);
+            // the remainder is smaller than the divisor and has its binary point
+            const a = operand('in1');
+            const b = operand('in2');
+            if (!a || !b) return null;
+            const signed = a.signed || b.signed;
+            if (port === 'rem') return { width: b.width + (signed && !b.signed ? 1 : 0), signed: signed, frac: b.frac };
+            return { width: a.width + (b.signed ? 1 : 0), signed: signed, frac: 0 };
+        }
+
+        default:
+            return null;
+    }
+}
+
+// Infer the type of every signal in a list of elements (modules included, whether
+// expanded or not). Returns { types, problems }: types maps "elementId.port" to
+// { width, signed, frac } (null when unknown) and problems lists { severity, message, elementId }.
+function inferSignalTypes(elements) {
+    const primitivesById = new Map();
+    const modulesById = new Map();
+    const collect = list => list.forEach(element => {
+        if (element.type === 'module') {
+            modulesById.set(element.id, element);
+            collect(element.components || []);
+        } else {
+            primitivesById.set(element.id, element);
+        }
+    });
+    collect(elements);
+
+    const types = new Map();
+    const problems = [];
+    const visiting = [];
+    const unresolvedLoops = new Set();
+
+    // Type carried by a connection such as "mul1.out"; a vector module output has
+    // the type of its widest lane
+    const typeOfReference = reference => {
+        if (typeof reference !== 'string') return null;
+        const [sourceId, sourcePort] = reference.split('.');
+
+        const module = modulesById.get(sourceId);
+        if (module) {
+            const key = `${sourceId}.${sourcePort}`;
+            if (!types.has(key)) {
+                const mapping = (module.outputs || {})[sourcePort];
+                const lanes = (Array.isArray(mapping) ? mapping : [mapping]).map(typeOfReference);
+                const inferred = lanes.every(lane => lane) ? lanes.reduce(widerType) : null;
+                const port = getModulePorts(module, 'outputs').find(p => p.name === sourcePort);
+                types.set(key, castToDeclared(inferred, getDeclaredType(port), key, sourceId));
+            }
+            return types.get(key);
+        }
+
+        const primitive = primitivesById.get(sourceId);
+        return primitive ? typeOfPrimitive(primitive, sourcePort) : null;
+    };
+
+    // Type of a primitive output port: its declaration (which applies to every output of
+    // the element), or the result of its operation
+    const typeOfPrimitive = (primitive, port) => {
+        const key = `${primitive.id}.${port}`;
+        if (types.has(key)) return types.get(key);
+
+        const declared = getDeclaredType(primitive);
+        if (primitive.type === 'input') {
+            types.set(key, declared);
+            return declared;
+        }
+
+        // A declared type is known before the operands are looked at, which also
+        // gives a feedback loop through this element its width
+        if (declared) {
+            types.set(key, declared);
+        }
+
+        // Back at an element still being inferred: the loop has no finite type unless
+        // one of its elements declares a width
+        if (visiting.includes(primitive)) {
+            const loop = visiting.slice(visiting.indexOf(primitive));
+            if (!loop.some(element => getDeclaredType(element))) {
+                unresolvedLoops.add(primitive.id);
+            }
+            return null;
+        }
+
+        visiting.push(primitive);
+        const inferred = inferPrimitiveType(primitive, inputPort => typeOfOperand(primitive, inputPort), port);
+        visiting.pop();
+
+        const type = castToDeclared(inferred, declared, key, primitive.id);
+        types.set(key, type);
+        return type;
+    };
+
+    // Type arriving at a primitive's input port; a module input port with a declared
+    // type converts whatever is connected to it
+    const typeOfOperand = (primitive, port) => {
+        const inferred = typeOfReference(primitive.inputs ? primitive.inputs[port] : undefined);
+        const modulePort = getModuleInputPort(primitive, port, modulesById);
+        if (!modulePort) return inferred;
+
+        const key = `${modulePort.instance.id}.${modulePort.port.name}`;
+        return castToDeclared(inferred, getDeclaredType(modulePort.port), `input ${key}`, modulePort.instance.id);
+    };
+
+    // A declared type wins over the inferred one; losing integer bits on the way is reported
+    const castToDeclared = (inferred, declared, what, elementId) => {
+        if (!declared) return inferred;
+        if (inferred && integerBits(inferred, declared.signed) > integerBits(declared, declared.signed)) {
+            const message = `${what} is declared ${formatSignalType(declared)} but receives ${formatSignalType(inferred)}; high bits are lost`;
+            if (!problems.some(problem => problem.message === message)) {
+                problems.push({ severity: 'warning', message: message, elementId: elementId });
+            }
+        }
+        return declared;
+    };
+
+    // Output elements have no output port; their type is kept under "out" like a single output
+    primitivesById.forEach(primitive => {
+        const ports = getPrimitivePorts(primitive.type);
+        (ports && ports.outputs.length ? ports.outputs : ['out']).forEach(port => typeOfPrimitive(primitive, port));
+    });
+    modulesById.forEach(module => {
+        getModulePorts(module, 'outputs').forEach(port => typeOfReference(`${module.id}.${port.name}`));
+    });
+
+    unresolvedLoops.forEach(elementId => {
+        problems.push({
+            severity: 'info',
+            message: `Bit widths around the feedback loop through ${elementId} cannot be inferred; declare a width on an element in the loop`,
+            elementId: elementId
+        });
+    });
+
+    types.forEach((type, key) => {
+        if (type && type.width > bitWidthConfig.maxWidth) {
+            problems.push({
+                severity: 'warning',
+                message: `${key} is ${formatSignalType(type)}, wider than the ${bitWidthConfig.maxWidth}-bit limit`,
+                elementId: key.split('.')[0]
+            });
+        }
+    });
+
+    return { types: types, problems: problems };
+}
+
+// The wider of two types, for the lanes of a vector
+function widerType(a, b) {
+    const signed = a.signed || b.signed;
+    const frac = Math.max(a.frac, b.frac);
+    const integer = Math.max(integerBits(a, signed), integerBits(b, signed));
+    return { width: integer + frac, signed: signed, frac: frac };
+}
+
+// The module input port a component's input was wired through, as { instance, port },
+// or null when it connects to another component (or the module has no definition)
+function getModuleInputPort(component, portName, modulesById) {
+    const instance = component.parentModule ? modulesById.get(component.parentModule) : null;
+    const definition = instance ? getInstanceDefinition(instance) : null;
+    if (!definition) return null;
+
+    const template = definition.components.find(c => c.id === component.localId);
+    const reference = template && template.inputs ? template.inputs[portName] : undefined;
+    if (typeof reference !== 'string') return null;
+
+    // Same precedence as resolveTemplateReference: "$.port", then components, then input names
+    const match = reference.match(/^\$\.([^[\]]+)/);
+    let name = match ? match[1] : null;
+    if (!name) {
+        const sourceId = reference.split('.')[0];
+        if (!definition.components.some(c => c.id === sourceId)) {
+            name = sourceId;
+        }
+    }
+
+    const port = definition.inputs.find(p => p.name === name);
+    return port ? { instance: instance, port: port } : null;
+}
+
+// Type carried by a connection of the rendered diagram, or null
+function getSignalType(reference) {
+    return currentSignalTypes.get(resolveBoundaryReference(reference)) || null;
+}
+
+// Infer the types of the loaded diagram, report problems and flag wires over the limit
+function updateSignalTypes() {
+    const result = inferSignalTypes(currentElements);
+    currentSignalTypes = result.types;
+
+    result.problems.forEach(problem => {
+        addRuntimeDiagnostic(problem.severity, problem.message, problem.elementId, 'bit widths');
+    });
+}
+
+// Label every typed wire with its type and mark the ones wider than the limit
+function renderSignalTypes() {
+    diagram.selectAll('.connection')
+        .classed('width-exceeded', d => {
+            const sources = d.bus && d.lanes ? d.lanes : [d];
+            return sources.some(source => {
+                const type = getSignalType(`${source.source}.${source.sourcePort}`);
+                return type && type.width > bitWidthConfig.maxWidth;
+            });
+        });
+
+    if (!bitWidthConfig.showTypes) return;
+
+    // Above the simulation values when both are shown
+    const layer = diagram.append('g').attr('class', 'signal-types');
+    drawPortValueLabels(layer, 'signal-type', key => {
+        const type = getSignalType(key);
+        return type ? formatSignalType(type) : null;
+    }, simulationConfig.enabled ? -18 : -6);
+
+    layer.selectAll('.signal-type')
+        .classed('width-exceeded', key => getSignalType(key).width > bitWidthConfig.maxWidth);
+}
+
+// Wire up the bit width controls in the controls panel
+function setupBitWidthControls() {
+    const typesToggle = document.getElementById('types-toggle');
+    const widthLimit = document.getElementById('width-limit');
+
+    if (typesToggle) {
+        bitWidthConfig.showTypes = typesToggle.checked;
+        typesToggle.addEventListener('change', () => {
+            bitWidthConfig.showTypes = typesToggle.checked;
+            renderCurrentDiagram();
+        });
+    }
+
+    if (widthLimit) {
+        widthLimit.addEventListener('change', () => {
+            const limit = parseInt(widthLimit.value, 10);
+            if (Number.isInteger(limit) && limit > 0) {
+                bitWidthConfig.maxWidth = limit;
+                // The netlist is unchanged; only the signals over the limit are reported again
+                clearRuntimeDiagnostics('bit widths');
+                renderCurrentDiagram();
+            } else {
+                widthLimit.value = bitWidthConfig.maxWidth;
+            }
+        });
+    }
+}
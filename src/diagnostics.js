@@ -0,0 +1,693 @@
+/**
+ * SchematicViewer - Diagram Diagnostics
+ * Validates diagram data and lists every problem found in a diagnostics panel
+ */
+
+// Diagnostics from the most recent validation, plus any found while rendering
+let currentDiagnostics = [];
+
+// Validate diagram data and return a list of diagnostics.
+// Each diagnostic is { severity, message, location, elementId, fatal }, where
+// severity is 'error', 'warning' or 'info', location is the JSON path of the
+// problem, and fatal marks problems that prevent the diagram from rendering.
+function validateDiagram(data) {
+    const diagnostics = [];
+
+    const report = (severity, message, location, elementId, fatal) => {
+        diagnostics.push({
+            severity: severity,
+            message: message,
+            location: location || '(root)',
+            elementId: elementId || null,
+            fatal: !!fatal
+        });
+    };
+
+    // Basic structure - data is either an array of elements or an object with
+    // an elements array and optional moduleDefinitions
+    if (!data || typeof data !== 'object') {
+        report('error', 'Diagram data must be an array or an object with an elements array', '', null, true);
+        return diagnostics;
+    }
+
+    let elements = data;
+    let moduleDefinitions = {};
+    let primitiveDefinitions = {};
+    let elementsPath = '';
+
+    if (!Array.isArray(data)) {
+        if (!Array.isArray(data.elements)) {
+            report('error', 'Diagram data must be an array or an object with an elements array', 'elements', null, true);
+            return diagnostics;
+        }
+        elements = data.elements;
+        elementsPath = 'elements';
+        moduleDefinitions = data.moduleDefinitions || {};
+
+        if (typeof moduleDefinitions !== 'object' || Array.isArray(moduleDefinitions)) {
+            report('error', 'moduleDefinitions must be an object keyed by module type', 'moduleDefinitions', null, true);
+            return diagnostics;
+        }
+
+        if (validatePrimitiveDefinitions(data.primitiveDefinitions, report)) {
+            primitiveDefinitions = data.primitiveDefinitions || {};
+        }
+    }
+
+    // Every element must be an object with id and type properties
+    elements.forEach((element, index) => {
+        const path = `${elementsPath}[${index}]`;
+        if (!element || typeof element !== 'object') {
+            report('error', 'Element must be an object', path, null, true);
+        } else if (!element.id || !element.type) {
+            report('error', `Element missing required id or type: ${JSON.stringify(element)}`, path, element.id, true);
+        }
+    });
+
+    if (diagnostics.some(d => d.fatal)) {
+        return diagnostics;
+    }
+
+    // Primitive types known to this diagram: the default library and its own declarations
+    const primitiveTypes = buildPrimitiveRegistry(primitiveDefinitions);
+
+    // Validate module definitions and keep the usable ones for checking instances
+    const definitions = new Map();
+    for (const [moduleType, definition] of Object.entries(moduleDefinitions)) {
+        if (validateModuleDefinition(moduleType, definition, elements, moduleDefinitions, primitiveTypes, report)) {
+            definitions.set(moduleType, normalizeModuleDefinition(moduleType, definition));
+        }
+    }
+
+    // A definition that instantiates itself, directly or through others, cannot be built
+    definitions.forEach((definition, moduleType) => {
+        const chain = findRecursiveDefinition(moduleType, moduleDefinitions);
+        if (chain && chain[0] === moduleType) {
+            report('error', `Module definition ${moduleType} instantiates itself: ${chain.join(' → ')}`, `moduleDefinitions.${moduleType}`);
+        }
+    });
+
+    // Duplicate IDs
+    const elementsById = new Map();
+    elements.forEach((element, index) => {
+        if (elementsById.has(element.id)) {
+            report('error', `Duplicate element ID "${element.id}"`, `${elementsPath}[${index}].id`, element.id);
+        } else {
+            elementsById.set(element.id, element);
+        }
+    });
+
+    // Ports each element exposes, used to check references and unused outputs
+    const portsOf = element => getElementPortNames(element, definitions, primitiveTypes);
+
+    // Output ports that something reads, as "elementId.portName"
+    const usedOutputs = new Set();
+
+    elements.forEach((element, index) => {
+        const path = `${elementsPath}[${index}]`;
+        const ports = portsOf(element);
+
+        if (!ports && element.type !== 'module') {
+            report('warning', `Unknown primitive type "${element.type}" for ${element.id}; it is drawn as a plain box without ports (declare it in primitiveDefinitions)`, `${path}.type`, element.id);
+        }
+
+        if (element.type === 'module') {
+            validateModuleInstance(element, path, definitions, elementsById, report);
+        }
+
+        checkLatency(element, path, element.id, report);
+        checkSignalType(element, path, element.id, report);
+        checkBitRange(element, path, element.id, report);
+
+        if (element.inputs !== undefined && (typeof element.inputs !== 'object' || Array.isArray(element.inputs))) {
+            report('error', `Inputs of ${element.id} must be an object of port connections`, `${path}.inputs`, element.id);
+            return;
+        }
+
+        const inputs = element.inputs || {};
+
+        // Each connection must reference an existing element and one of its output ports
+        for (const [portName, value] of Object.entries(inputs)) {
+            const portPath = `${path}.inputs.${portName}`;
+
+            if (ports && !ports.inputs.includes(portName)) {
+                report('error', `${element.id} has no input port "${portName}"`, portPath, element.id);
+            }
+
+            if (Array.isArray(value) && element.type !== 'module') {
+                report('error', `Vector connections are only supported on module ports (${element.id}.${portName})`, portPath, element.id);
+            }
+
+            const connections = Array.isArray(value) ? value : [value];
+            connections.forEach((connection, lane) => {
+                const lanePath = Array.isArray(value) ? `${portPath}[${lane}]` : portPath;
+                const source = checkReference(connection, lanePath, element.id, elementsById, portsOf, report);
+                if (source) usedOutputs.add(source);
+            });
+        }
+
+        // Required inputs that are not connected
+        if (ports) {
+            ports.inputs
+                .filter(portName => !(portName in inputs))
+                .forEach(portName => {
+                    report('error', `Input "${portName}" of ${element.id} is not connected`, `${path}.inputs`, element.id);
+                });
+        }
+    });
+
+    // Outputs nothing reads
+    elements.forEach((element, index) => {
+        const ports = portsOf(element);
+        if (!ports) return;
+
+        ports.outputs
+            .filter(portName => !usedOutputs.has(`${element.id}.${portName}`))
+            .forEach(portName => {
+                report('warning', `Output "${portName}" of ${element.id} is not used`, `${elementsPath}[${index}]`, element.id);
+            });
+    });
+
+    return diagnostics;
+}
+
+// Check a single "elementId.portName" reference. Returns the referenced output
+// ("elementId.portName") when it is valid, or null after reporting the problem.
+function checkReference(connection, path, elementId, elementsById, portsOf, report) {
+    if (typeof connection !== 'string' || !connection.includes('.')) {
+        report('error', `Invalid connection format ${JSON.stringify(connection)}; expected "elementId.portName"`, path, elementId);
+        return null;
+    }
+
+    const [sourceId, sourcePort] = connection.split('.');
+    const source = elementsById.get(sourceId);
+
+    if (!source) {
+        report('error', `${elementId} references unknown element "${sourceId}"`, path, elementId);
+        return null;
+    }
+
+    const sourcePorts = portsOf(source);
+    if (sourcePorts && !sourcePorts.outputs.includes(sourcePort)) {
+        report('error', `${source.type === 'module' ? source.moduleType : source.type} element "${sourceId}" has no output port "${sourcePort}"`, path, elementId);
+        return null;
+    }
+
+    return connection;
+}
+
+// Input and output port names of an element, or null for an unknown type or a module whose
+// definition is missing (its ports are unknown, so references to them are not checked)
+function getElementPortNames(element, definitions, primitiveTypes = primitiveRegistry) {
+    if (element.type === 'module') {
+        const definition = definitions.get(element.moduleType);
+        if (definition) {
+            return {
+                inputs: definition.inputs.map(port => port.name),
+                outputs: definition.outputs.map(port => port.name)
+            };
+        }
+        if (!Array.isArray(element.components)) {
+            return null;
+        }
+
+        // Inline modules declare their ports through their connections
+        return {
+            inputs: Object.keys(element.inputs || {}),
+            outputs: Object.keys(element.outputs || {})
+        };
+    }
+
+    return getPrimitivePorts(element.type, primitiveTypes);
+}
+
+// Check a module instance against its definition (or its inline components)
+function validateModuleInstance(element, path, definitions, elementsById, report) {
+    if (!element.moduleType) {
+        report('error', `Module ${element.id} is missing required moduleType property`, path, element.id);
+        return;
+    }
+
+    let definition = definitions.get(element.moduleType);
+    if (definition && element.parameters !== undefined) {
+        if (!element.parameters || typeof element.parameters !== 'object' || Array.isArray(element.parameters)) {
+            report('error', `Parameters of module ${element.id} must be an object of parameter values`, `${path}.parameters`, element.id);
+            return;
+        }
+
+        definition = specializeModuleDefinition(definition, element.parameters);
+        if (definition.error) {
+            report('error', `Module ${element.id}: ${definition.error}`, `${path}.parameters`, element.id);
+            return;
+        }
+    }
+
+    if (definition) {
+        checkModuleInstanceSizes(element, definition, elementsById, definitions).forEach(problem => {
+            report('error', `Module ${element.id}: ${problem}`, `${path}.inputs`, element.id);
+        });
+        return;
+    }
+
+    // Without a definition the module must list its own components and outputs
+    if (!Array.isArray(element.components)) {
+        report('error', `Module ${element.id} has no definition for moduleType "${element.moduleType}" and no components array`, `${path}.moduleType`, element.id);
+        return;
+    }
+
+    element.components.forEach((component, index) => {
+        if (!component || !component.id || !component.type) {
+            report('error', `Module component missing required id or type: ${JSON.stringify(component)}`, `${path}.components[${index}]`, element.id);
+        }
+    });
+
+    if (!element.outputs || typeof element.outputs !== 'object') {
+        report('error', `Module ${element.id} is missing required outputs object`, `${path}.outputs`, element.id);
+        return;
+    }
+
+    const componentIds = new Set(element.components.map(component => component && component.id));
+    for (const [portName, connection] of Object.entries(element.outputs)) {
+        const [sourceId] = typeof connection === 'string' ? connection.split('.') : [];
+        if (!sourceId || !componentIds.has(sourceId)) {
+            report('error', `Output "${portName}" of module ${element.id} maps to ${JSON.stringify(connection)}, which is not one of its components`, `${path}.outputs.${portName}`, element.id);
+        }
+    }
+}
+
+// Check the per-type settings in a primitiveDefinitions section. Returns false when the
+// section is unusable as a whole.
+function validatePrimitiveDefinitions(definitions, report) {
+    if (definitions === undefined) return true;
+
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+        report('error', 'primitiveDefinitions must be an object keyed by primitive type', 'primitiveDefinitions');
+        return false;
+    }
+
+    for (const [type, definition] of Object.entries(definitions)) {
+        const path = `primitiveDefinitions.${type}`;
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            report('error', `Primitive definition ${type} must be an object`, path);
+            continue;
+        }
+        if (type === 'module') {
+            report('error', 'Modules are declared in moduleDefinitions, not as a primitive type', path);
+            continue;
+        }
+
+        checkLatency(definition, path, null, report);
+
+        // Port lists hold distinct port names, each either a name or { name, side }
+        ['inputs', 'outputs'].forEach(key => {
+            const ports = definition[key];
+            if (ports === undefined) return;
+            const isPort = port => typeof port === 'string'
+                || (port && typeof port === 'object' && typeof port.name === 'string'
+                    && (port.side === undefined || primitivePortSides.includes(port.side)));
+            if (!Array.isArray(ports) || !ports.every(isPort)) {
+                report('error', `Primitive definition ${type} ${key} must be a list of port names or { name, side } with side one of ${primitivePortSides.join(', ')}`, `${path}.${key}`);
+                return;
+            }
+            const names = ports.map(port => typeof port === 'string' ? port : port.name);
+            if (names.some(name => !/^[A-Za-z_]\w*$/.test(name))) {
+                report('error', `Primitive definition ${type} ${key} must be a list of port names`, `${path}.${key}`);
+            } else if (new Set(names).size !== names.length) {
+                report('error', `Primitive definition ${type} lists an ${key === 'inputs' ? 'input' : 'output'} port twice`, `${path}.${key}`);
+            }
+        });
+
+        if (definition.portLabels !== undefined && typeof definition.portLabels !== 'boolean') {
+            report('error', `portLabels of primitive type ${type} must be true or false`, `${path}.portLabels`);
+        }
+
+        ['width', 'height'].forEach(key => {
+            if (definition[key] !== undefined && !(typeof definition[key] === 'number' && definition[key] > 0)) {
+                report('error', `Invalid ${key} ${JSON.stringify(definition[key])} for primitive type ${type}; expected a size in pixels`, `${path}.${key}`);
+            }
+        });
+
+        ['symbol', 'glyph', 'description'].forEach(key => {
+            if (definition[key] !== undefined && typeof definition[key] !== 'string') {
+                report('error', `The ${key} of primitive type ${type} must be text`, `${path}.${key}`);
+            }
+        });
+        if (definition.symbol !== undefined && definition.glyph !== undefined) {
+            report('warning', `Primitive type ${type} has both a symbol and a glyph; the glyph is drawn`, path);
+        }
+
+        if (definition.colorClass !== undefined
+            && !(typeof definition.colorClass === 'string' && /^[A-Za-z][\w-]*$/.test(definition.colorClass))) {
+            report('error', `Invalid colorClass ${JSON.stringify(definition.colorClass)} for primitive type ${type}`, `${path}.colorClass`);
+        }
+    }
+    return true;
+}
+
+// A latency, where given, must be a whole number of clock cycles
+function checkLatency(item, path, elementId, report) {
+    if (item.latency !== undefined && !isValidLatency(item.latency)) {
+        report('error', `Invalid latency ${JSON.stringify(item.latency)}; expected a whole number of clock cycles (0 for combinational)`, `${path}.latency`, elementId);
+    }
+}
+
+// Bit operators need the bit positions they work on: msb and lsb for a slice, at for a
+// split or concat
+function checkBitRange(item, path, elementId, report) {
+    const bit = value => Number.isInteger(value) && value >= 0;
+
+    if (item.type === 'slice') {
+        if (!bit(item.msb) || !bit(item.lsb)) {
+            report('error', `A slice needs msb and lsb bit positions (whole numbers from 0), got msb ${JSON.stringify(item.msb)} and lsb ${JSON.stringify(item.lsb)}`, path, elementId);
+        } else if (item.lsb > item.msb) {
+            report('error', `Slice lsb ${item.lsb} is above its msb ${item.msb}`, `${path}.lsb`, elementId);
+        }
+    } else if (item.type === 'split' || item.type === 'concat') {
+        if (!bit(item.at) || item.at < 1) {
+            report('error', `A ${item.type} needs "at", the width of its low part in bits (1 or more), got ${JSON.stringify(item.at)}`, `${path}.at`, elementId);
+        }
+    }
+}
+
+// A fixed-point type, where declared, needs a positive width and a whole number of fraction bits
+function checkSignalType(item, path, elementId, report) {
+    const problem = checkTypeDeclaration(item);
+    if (problem) {
+        report('error', `Invalid type declaration: ${problem}`, path, elementId);
+    }
+}
+
+// Check a moduleDefinitions entry. Returns false when the definition is unusable.
+// moduleDefinitions holds every raw definition, for components that instantiate another,
+// and primitiveTypes the primitive types the diagram can use.
+// A parameterized definition is checked as elaborated with its default parameter values.
+function validateModuleDefinition(moduleType, definition, elements, moduleDefinitions, primitiveTypes, report) {
+    const path = `moduleDefinitions.${moduleType}`;
+
+    if (!definition || typeof definition !== 'object') {
+        report('error', `Module definition ${moduleType} must be an object`, path);
+        return false;
+    }
+
+    if (definition.level !== undefined && !moduleLevels.includes(definition.level)) {
+        report('error', `Invalid level ${JSON.stringify(definition.level)} for module definition ${moduleType}; expected one of ${moduleLevels.join(', ')}`, `${path}.level`);
+    }
+
+    if (definition.parameters !== undefined
+        && (!definition.parameters || typeof definition.parameters !== 'object' || Array.isArray(definition.parameters))) {
+        report('error', `Parameters of module definition ${moduleType} must be an object of default values`, `${path}.parameters`);
+        return false;
+    }
+
+    // Definitions must have a components array
+    if (!Array.isArray(definition.components)) {
+        report('error', `Module definition ${moduleType} is missing required components array`, `${path}.components`);
+        return false;
+    }
+
+    // Evaluate sizes, replicate generate components and expand reductions
+    try {
+        definition = elaborateModuleDefinition(definition).definition;
+    } catch (error) {
+        report('error', `Module definition ${moduleType}: ${error.message}`, path);
+        return false;
+    }
+
+    // Inputs and outputs are lists of port names or { name, size } objects
+    let portsValid = true;
+    for (const key of ['inputs', 'outputs']) {
+        const ports = definition[key] || [];
+        if (!Array.isArray(ports)) {
+            report('error', `Module definition ${moduleType} ${key} must be a list`, `${path}.${key}`);
+            portsValid = false;
+            continue;
+        }
+        ports.forEach((port, index) => {
+            const valid = typeof port === 'string'
+                || (port && typeof port.name === 'string' && (port.size === undefined || (Number.isInteger(port.size) && port.size > 0)));
+            if (!valid) {
+                report('error', `Invalid port declaration ${JSON.stringify(port)}`, `${path}.${key}[${index}]`);
+                portsValid = false;
+            }
+            if (valid && typeof port === 'object') {
+                checkSignalType(port, `${path}.${key}[${index}]`, null, report);
+            }
+        });
+    }
+
+    if (!portsValid) {
+        return false;
+    }
+
+    const normalized = normalizeModuleDefinition(moduleType, definition);
+    const inputSizes = new Map(normalized.inputs.map(port => [port.name, port.size]));
+    const elementIds = new Set(elements.map(element => element && element.id));
+
+    // Component IDs must be unique within the definition
+    const componentsById = new Map();
+    definition.components.forEach((component, index) => {
+        const componentPath = `${path}.components[${index}]`;
+        if (!component || !component.id || !component.type) {
+            report('error', `Component in module definition ${moduleType} missing required id or type: ${JSON.stringify(component)}`, componentPath);
+        } else if (componentsById.has(component.id)) {
+            report('error', `Duplicate component ID "${component.id}" in module definition ${moduleType}`, `${componentPath}.id`);
+        } else {
+            componentsById.set(component.id, component);
+        }
+    });
+
+    // Ports of a component: a primitive type's, or those of the definition a nested instance uses
+    const portsOf = component => {
+        if (component.type !== 'module') return getPrimitivePorts(component.type, primitiveTypes);
+
+        const nested = moduleDefinitions[component.moduleType];
+        if (!nested || typeof nested !== 'object') return null;
+        return {
+            inputs: normalizePortList(nested.inputs).map(port => port.name),
+            outputs: normalizePortList(nested.outputs).map(port => port.name)
+        };
+    };
+
+    // Nested instances must name a definition, ideally of the same or a lower level
+    const level = moduleLevels.includes(definition.level) ? definition.level : 'module';
+    componentsById.forEach((component, componentId) => {
+        if (component.type !== 'module') return;
+        const componentPath = `${path}.components[${definition.components.indexOf(component)}]`;
+        const nested = moduleDefinitions[component.moduleType];
+
+        if (!component.moduleType) {
+            report('error', `Module component "${componentId}" in ${moduleType} is missing required moduleType property`, componentPath);
+        } else if (!nested || typeof nested !== 'object') {
+            report('error', `Module component "${componentId}" in ${moduleType} has no definition for moduleType "${component.moduleType}"`, `${componentPath}.moduleType`);
+        } else {
+            const nestedLevel = moduleLevels.includes(nested.level) ? nested.level : 'module';
+            if (moduleLevels.indexOf(nestedLevel) > moduleLevels.indexOf(level)) {
+                report('warning', `${level} ${moduleType} contains ${componentId}, an instance of the ${nestedLevel} ${component.moduleType}`, componentPath);
+            }
+
+            // Parameters passed to the instance must elaborate the nested definition
+            if (component.parameters !== undefined) {
+                try {
+                    elaborateModuleDefinition(nested, component.parameters);
+                } catch (error) {
+                    report('error', `Module component "${componentId}" in ${moduleType}: ${error.message}`, `${componentPath}.parameters`);
+                }
+            }
+        }
+    });
+
+    const usedOutputs = new Set();
+
+    // Resolve a template reference, reporting anything it cannot refer to
+    const checkTemplateReference = (reference, referencePath) => {
+        if (typeof reference !== 'string' || !reference.includes('.')) {
+            report('error', `Invalid template reference ${JSON.stringify(reference)}; expected "componentId.portName" or "$.port"`, referencePath);
+            return;
+        }
+
+        const inputMatch = reference.match(/^\$\.([^[\]]+)(?:\[(\d+)\])?$/);
+        if (inputMatch) {
+            if (!inputSizes.has(inputMatch[1])) {
+                report('error', `${reference} refers to undeclared module input "${inputMatch[1]}"`, referencePath);
+            }
+            return;
+        }
+
+        const [sourceId, sourcePort] = reference.split('.');
+        const source = componentsById.get(sourceId);
+
+        if (source) {
+            const ports = portsOf(source);
+            if (ports && !ports.outputs.includes(sourcePort)) {
+                report('error', `${source.type} component "${sourceId}" has no output port "${sourcePort}"`, referencePath);
+            }
+            usedOutputs.add(`${sourceId}.${sourcePort}`);
+        } else if (!inputSizes.has(sourceId) && !elementIds.has(sourceId)) {
+            report('error', `${reference} does not refer to a component, module input or element`, referencePath);
+        }
+    };
+
+    componentsById.forEach((component, componentId) => {
+        const index = definition.components.indexOf(component);
+        const componentPath = `${path}.components[${index}]`;
+        const ports = portsOf(component);
+        const inputs = component.inputs || {};
+
+        checkLatency(component, componentPath, null, report);
+        checkSignalType(component, componentPath, null, report);
+        checkBitRange(component, componentPath, null, report);
+
+        for (const [portName, reference] of Object.entries(inputs)) {
+            if (ports && !ports.inputs.includes(portName)) {
+                report('error', `${component.type} component "${componentId}" has no input port "${portName}"`, `${componentPath}.inputs.${portName}`);
+            }
+
+            // A vector port of a nested instance takes one reference per lane
+            if (Array.isArray(reference) && component.type === 'module') {
+                reference.forEach((lane, index) => checkTemplateReference(lane, `${componentPath}.inputs.${portName}[${index}]`));
+            } else {
+                checkTemplateReference(reference, `${componentPath}.inputs.${portName}`);
+            }
+        }
+
+        if (ports) {
+            ports.inputs
+                .filter(portName => !(portName in inputs))
+                .forEach(portName => {
+                    report('error', `Input "${portName}" of component "${componentId}" in ${moduleType} is not connected`, `${componentPath}.inputs`);
+                });
+        }
+    });
+
+    // Output mappings must cover exactly the declared outputs
+    const outputMappings = definition.outputMappings || {};
+    const outputSizes = new Map(normalized.outputs.map(port => [port.name, port.size]));
+
+    for (const [portName, mapping] of Object.entries(outputMappings)) {
+        const mappingPath = `${path}.outputMappings.${portName}`;
+
+        if (!outputSizes.has(portName)) {
+            report('error', `Output mapping "${portName}" is not a declared output of ${moduleType}`, mappingPath);
+            continue;
+        }
+
+        const size = outputSizes.get(portName);
+        if (Array.isArray(mapping)) {
+            if (mapping.length !== size) {
+                report('error', `Output mapping "${portName}" has ${mapping.length} lane(s) but the output has size ${size}`, mappingPath);
+            }
+            mapping.forEach((lane, index) => checkTemplateReference(lane, `${mappingPath}[${index}]`));
+        } else {
+            if (size > 1) {
+                report('error', `Vector output "${portName}" of size ${size} must map to an array of ${size} references`, mappingPath);
+            }
+            checkTemplateReference(mapping, mappingPath);
+        }
+    }
+
+    outputSizes.forEach((size, portName) => {
+        if (!(portName in outputMappings)) {
+            report('error', `Output "${portName}" of ${moduleType} has no output mapping`, `${path}.outputMappings`);
+        }
+    });
+
+    // Component outputs that nothing inside the module reads
+    componentsById.forEach((component, componentId) => {
+        const ports = portsOf(component);
+        if (!ports) return;
+
+        ports.outputs
+            .filter(portName => !usedOutputs.has(`${componentId}.${portName}`))
+            .forEach(portName => {
+                report('warning', `Output "${portName}" of component "${componentId}" in ${moduleType} is not used`, `${path}.components[${definition.components.indexOf(component)}]`);
+            });
+    });
+
+    return true;
+}
+
+// Replace the diagnostics list and redraw the panel
+function showDiagnostics(diagnostics) {
+    currentDiagnostics = diagnostics;
+    renderDiagnosticsPanel();
+}
+
+// Add a problem found while rendering (e.g. a wire whose port could not be drawn)
+function addRuntimeDiagnostic(severity, message, elementId, location) {
+    if (currentDiagnostics.some(d => d.message === message)) return;
+
+    currentDiagnostics.push({
+        severity: severity,
+        message: message,
+        location: location || '(rendering)',
+        elementId: elementId || null,
+        fatal: false
+    });
+    renderDiagnosticsPanel();
+}
+
+// Drop the problems found while rendering at a location (e.g. "pipeline balance"), before
+// that analysis runs again on a redraw
+function clearRuntimeDiagnostics(location) {
+    currentDiagnostics = currentDiagnostics.filter(d => d.fatal || d.location !== location);
+    renderDiagnosticsPanel();
+}
+
+// Draw the diagnostics panel from the current diagnostics list
+function renderDiagnosticsPanel() {
+    const panel = d3.select('#diagnostics-panel');
+    if (panel.empty()) return;
+
+    const list = panel.select('.diagnostics-list');
+    list.selectAll('*').remove();
+
+    panel.classed('hidden', currentDiagnostics.length === 0);
+    if (currentDiagnostics.length === 0) return;
+
+    // Errors first, then warnings, then info
+    const order = { error: 0, warning: 1, info: 2 };
+    const sorted = currentDiagnostics.slice().sort((a, b) => order[a.severity] - order[b.severity]);
+
+    const counts = d3.rollup(currentDiagnostics, v => v.length, d => d.severity);
+    const summary = ['error', 'warning', 'info']
+        .filter(severity => counts.has(severity))
+        .map(severity => `${counts.get(severity)} ${severity}${counts.get(severity) > 1 ? 's' : ''}`)
+        .join(', ');
+    panel.select('.diagnostics-summary').text(`Diagnostics: ${summary}`);
+
+    const items = list.selectAll('.diagnostic')
+        .data(sorted)
+        .enter()
+        .append('li')
+        .attr('class', d => `diagnostic diagnostic-${d.severity}`)
+        .classed('navigable', d => !!d.elementId)
+        .on('click', (event, d) => {
+            if (d.elementId) {
+                focusElement(d.elementId);
+            }
+        });
+
+    items.append('span')
+        .attr('class', 'diagnostic-severity')
+        .text(d => d.severity);
+
+    items.append('span')
+        .attr('class', 'diagnostic-message')
+        .text(d => d.message);
+
+    items.append('span')
+        .attr('class', 'diagnostic-location')
+        .text(d => d.location);
+}
+
+// Set up the diagnostics panel's collapse toggle
+function setupDiagnosticsPanel() {
+    const panel = document.getElementById('diagnostics-panel');
+    if (!panel) return;
+
+    panel.querySelector('.diagnostics-header').addEventListener('click', () => {
+        panel.classList.toggle('collapsed');
+    });
+
+    renderDiagnosticsPanel();
+}
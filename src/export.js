@@ -0,0 +1,228 @@
+/**
+ * SchematicViewer - Image Export
+ * Standalone SVG and PNG snapshots of the rendered diagram, cropped to its bounding box
+ */
+
+// Options chosen in the export controls
+const exportConfig = {
+    includeGrid: false,
+    transparentBackground: false,
+    scale: 2,
+    padding: 20,
+    background: 'white'
+};
+
+// Build a self-contained copy of the diagram SVG: styles inlined, arrow definitions
+// kept, zoom and pan removed and the view cropped to the diagram's bounding box.
+// Returns { svg, width, height } with svg as an SVG element that is not in the page.
+function buildExportSvg(options = exportConfig) {
+    const source = svg.node();
+    const bounds = getExportBounds(options);
+
+    const clone = source.cloneNode(true);
+
+    // Inline the stylesheet rules that apply to the diagram, or copy the computed
+    // styles onto each element when the stylesheet cannot be read
+    const styles = collectDiagramStyles(clone);
+    if (styles === null) {
+        inlineComputedStyles(source, clone);
+    }
+
+    clone.setAttribute('width', bounds.width);
+    clone.setAttribute('height', bounds.height);
+    clone.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+
+    // The export shows the whole diagram at its natural size, whatever the current zoom
+    const diagramGroup = clone.querySelector('g.diagram');
+    diagramGroup.removeAttribute('transform');
+
+    // Redraw the grid over the exported area (the live grid only covers the viewport)
+    const exportGrid = clone.querySelector('g.grid');
+    exportGrid.removeAttribute('transform');
+    d3.select(exportGrid).selectAll('*').remove();
+    if (options.includeGrid) {
+        // Cover the whole exported area, which can start left of or above the origin
+        // (feedback wires, labels above the first row)
+        const first = {
+            col: Math.floor(bounds.x / gridConfig.spacing.x),
+            row: Math.floor(bounds.y / gridConfig.spacing.y)
+        };
+        const cols = Math.ceil((bounds.x + bounds.width) / gridConfig.spacing.x) - first.col + 1;
+        const rows = Math.ceil((bounds.y + bounds.height) / gridConfig.spacing.y) - first.row + 1;
+        drawGrid(d3.select(exportGrid), cols, rows, first);
+    } else {
+        exportGrid.remove();
+    }
+
+    // Interaction state is not part of the picture
+    clone.querySelectorAll('.selected, .highlighted, .cone-active').forEach(node => {
+        node.classList.remove('selected', 'highlighted', 'cone-active');
+    });
+
+    if (styles !== null) {
+        const style = document.createElementNS('http://www.w3.org/2000/svg', 'style');
+        style.textContent = styles;
+        clone.insertBefore(style, clone.firstChild);
+    }
+
+    return { svg: clone, width: bounds.width, height: bounds.height };
+}
+
+// Bounding box of the diagram in its own coordinates, plus padding. With the grid
+// included the clock cycle labels above the first row are kept in view.
+function getExportBounds(options) {
+    const box = diagram.node().getBBox();
+
+    let top = box.y;
+    if (options.includeGrid) {
+        top = Math.min(top, -30);
+    }
+
+    const x = Math.floor(box.x - options.padding);
+    const y = Math.floor(top - options.padding);
+    return {
+        x: x,
+        y: y,
+        width: Math.ceil(box.x + box.width + options.padding) - x,
+        height: Math.ceil(box.y + box.height + options.padding) - y
+    };
+}
+
+// Text of every rule from the page's stylesheets that matches something in the exported
+// SVG, or null when a stylesheet cannot be read (browsers block this for file:// pages)
+function collectDiagramStyles(root) {
+    const rules = [];
+    let readable = true;
+
+    Array.from(document.styleSheets).forEach(sheet => {
+        let sheetRules;
+        try {
+            sheetRules = sheet.cssRules;
+        } catch (error) {
+            readable = false;
+            return;
+        }
+
+        Array.from(sheetRules).forEach(rule => {
+            if (!rule.selectorText) return;
+
+            // Keep rules whose selector (ignoring hover and other pseudo-classes) matches
+            const selector = rule.selectorText.replace(/::?[a-z-]+(\([^)]*\))?/g, '');
+            try {
+                if (selector.trim() && root.querySelector(selector)) {
+                    rules.push(rule.cssText);
+                }
+            } catch (error) {
+                // Selectors that only make sense in the page are left out
+            }
+        });
+    });
+
+    return readable ? rules.join('\n') : null;
+}
+
+// Presentation properties copied by inlineComputedStyles
+const exportStyleProperties = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+    'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+
+// Copy the computed presentation styles of each element in the page's SVG onto the
+// matching element of a fresh clone of it
+function inlineComputedStyles(source, clone) {
+    const sourceNodes = [source, ...source.querySelectorAll('*')];
+    const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+
+    sourceNodes.forEach((node, index) => {
+        const computed = window.getComputedStyle(node);
+        const declarations = exportStyleProperties
+            .map(property => `${property}: ${computed.getPropertyValue(property)}`)
+            .filter(declaration => !declaration.endsWith(': '));
+        cloneNodes[index].setAttribute('style', declarations.join('; '));
+    });
+}
+
+// Serialize the export SVG to standalone markup
+function serializeExportSvg(exported) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(exported.svg);
+}
+
+// Download the diagram as an SVG file
+function exportSvg() {
+    if (!currentSource) return;
+
+    const exported = buildExportSvg(exportConfig);
+    downloadFile(`${getDiagramBaseName()}.svg`, serializeExportSvg(exported), 'image/svg+xml');
+}
+
+// Download the diagram as a PNG file at the chosen scale
+function exportPng() {
+    if (!currentSource) return;
+
+    const exported = buildExportSvg(exportConfig);
+    const url = URL.createObjectURL(new Blob([serializeExportSvg(exported)], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(exported.width * exportConfig.scale);
+        canvas.height = Math.round(exported.height * exportConfig.scale);
+
+        const context = canvas.getContext('2d');
+        if (!exportConfig.transparentBackground) {
+            context.fillStyle = exportConfig.background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+
+        canvas.toBlob(blob => {
+            downloadFile(`${getDiagramBaseName()}.png`, blob, 'image/png');
+        }, 'image/png');
+    };
+
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        addRuntimeDiagnostic('error', 'Could not render the diagram to PNG', null, 'export');
+    };
+
+    image.src = url;
+}
+
+// Wire up the export buttons and options in the controls panel
+function setupExportControls() {
+    const includeGrid = document.getElementById('export-grid');
+    const transparent = document.getElementById('export-transparent');
+    const scale = document.getElementById('export-scale');
+    const svgButton = document.getElementById('export-svg');
+    const pngButton = document.getElementById('export-png');
+
+    if (includeGrid) {
+        exportConfig.includeGrid = includeGrid.checked;
+        includeGrid.addEventListener('change', () => {
+            exportConfig.includeGrid = includeGrid.checked;
+        });
+    }
+
+    if (transparent) {
+        exportConfig.transparentBackground = transparent.checked;
+        transparent.addEventListener('change', () => {
+            exportConfig.transparentBackground = transparent.checked;
+        });
+    }
+
+    if (scale) {
+        exportConfig.scale = parseFloat(scale.value);
+        scale.addEventListener('change', () => {
+            exportConfig.scale = parseFloat(scale.value);
+        });
+    }
+
+    if (svgButton) {
+        svgButton.addEventListener('click', exportSvg);
+    }
+
+    if (pngButton) {
+        pngButton.addEventListener('click', exportPng);
+    }
+}
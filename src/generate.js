@@ -0,0 +1,335 @@
+/**
+ * SchematicViewer - Parameterized Definitions
+ * Elaborates module definitions that take parameters: evaluates size and index
+ * expressions, replicates generate components and expands reduction trees
+ */
+
+// Functions available in parameter expressions
+const parameterFunctions = {
+    clog2: value => value <= 1 ? 0 : Math.ceil(Math.log2(value)),
+    min: (a, b) => Math.min(a, b),
+    max: (a, b) => Math.max(a, b)
+};
+
+// Evaluate an integer expression such as "N", "N/2" or "clog2(N)+1" against a scope of
+// named values. Supports + - * / (rounding down) % and parentheses. Throws an Error
+// naming the expression when it cannot be evaluated.
+function evaluateParameterExpression(expression, scope) {
+    if (Number.isInteger(expression)) return expression;
+    if (typeof expression !== 'string') {
+        throw new Error(`${JSON.stringify(expression)} is not an integer or an expression`);
+    }
+
+    const tokens = expression.match(/\d+|[A-Za-z_]\w*|\S/g) || [];
+    let position = 0;
+
+    const fail = message => {
+        throw new Error(`${message} in "${expression}"`);
+    };
+    const peek = () => tokens[position];
+    const take = expected => {
+        if (expected !== undefined && tokens[position] !== expected) {
+            fail(tokens[position] === undefined ? `expected "${expected}"` : `unexpected "${tokens[position]}"`);
+        }
+        return tokens[position++];
+    };
+
+    // sum := product (("+" | "-") product)*
+    const parseSum = () => {
+        let value = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            value = take() === '+' ? value + parseProduct() : value - parseProduct();
+        }
+        return value;
+    };
+
+    // product := unary (("*" | "/" | "%") unary)*
+    const parseProduct = () => {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = take();
+            const operand = parseUnary();
+            if (operator === '*') {
+                value *= operand;
+            } else if (operand === 0) {
+                fail('division by zero');
+            } else {
+                value = operator === '/' ? Math.floor(value / operand) : value % operand;
+            }
+        }
+        return value;
+    };
+
+    // unary := "-" unary | number | name | name "(" sum ("," sum)* ")" | "(" sum ")"
+    const parseUnary = () => {
+        const token = take();
+        if (token === undefined) fail('unexpected end');
+        if (token === '-') return -parseUnary();
+        if (token === '(') {
+            const value = parseSum();
+            take(')');
+            return value;
+        }
+        if (/^\d+$/.test(token)) return parseInt(token, 10);
+        if (!/^[A-Za-z_]/.test(token)) fail(`unexpected "${token}"`);
+
+        if (peek() === '(') {
+            const fn = parameterFunctions[token];
+            if (!fn) fail(`unknown function "${token}"`);
+            take('(');
+            const args = [parseSum()];
+            while (peek() === ',') {
+                take();
+                args.push(parseSum());
+            }
+            take(')');
+            return fn(...args);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(scope, token)) fail(`unknown parameter "${token}"`);
+        return scope[token];
+    };
+
+    const value = parseSum();
+    if (position < tokens.length) fail(`unexpected "${tokens[position]}"`);
+    return value;
+}
+
+// Replace every {expression} in a string. A string that is nothing but one placeholder
+// (e.g. "{i}") becomes the number itself.
+function substituteParameters(text, scope) {
+    if (typeof text !== 'string') return text;
+
+    const whole = text.match(/^\{([^{}]+)\}$/);
+    if (whole) return evaluateParameterExpression(whole[1], scope);
+
+    return text.replace(/\{([^{}]+)\}/g, (match, expression) => String(evaluateParameterExpression(expression, scope)));
+}
+
+// Every combination of the loop variables of a generate object such as { "i": "N" }, as
+// scopes extending the given one: i runs from 0 to N - 1, and several variables nest
+function expandGenerateScopes(generate, scope) {
+    let scopes = [scope];
+
+    Object.entries(generate).forEach(([name, count]) => {
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw new Error(`"${name}" is not a valid generate variable name`);
+        }
+
+        scopes = scopes.flatMap(outer => {
+            const total = evaluateParameterExpression(count, outer);
+            if (!Number.isInteger(total) || total < 0) {
+                throw new Error(`generate count "${count}" for ${name} is ${total}, not a whole number`);
+            }
+            return Array.from({ length: total }, (unused, index) => ({ ...outer, [name]: index }));
+        });
+    });
+
+    return scopes;
+}
+
+// Whether a value is a generated list: { "generate": { "i": "N" }, "each": "mul{i}.out" }
+function isGeneratedList(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && value.generate && typeof value.generate === 'object' && 'each' in value;
+}
+
+// Substitute parameters in a connection: a reference, an array of references or a
+// generated list, which becomes an array with one entry per loop index
+function substituteConnection(value, scope) {
+    if (Array.isArray(value)) {
+        return value.map(lane => substituteConnection(lane, scope));
+    }
+    if (isGeneratedList(value)) {
+        return expandGenerateScopes(value.generate, scope).map(inner => substituteConnection(value.each, inner));
+    }
+    return substituteParameters(value, scope);
+}
+
+// Numeric properties of a component that may be given as expressions
+const parameterizedProperties = ['latency', 'width', 'frac', 'min', 'max', 'msb', 'lsb', 'at'];
+
+// Substitute parameters throughout one component
+function substituteComponent(component, scope) {
+    const result = { ...component };
+
+    ['id', 'label'].forEach(key => {
+        if (typeof result[key] === 'string') result[key] = String(substituteParameters(result[key], scope));
+    });
+
+    parameterizedProperties.forEach(key => {
+        if (typeof result[key] === 'string') result[key] = evaluateParameterExpression(result[key], scope);
+    });
+
+    if (result.inputs && typeof result.inputs === 'object') {
+        result.inputs = {};
+        Object.entries(component.inputs).forEach(([portName, value]) => {
+            result.inputs[portName] = substituteConnection(value, scope);
+        });
+    }
+
+    if (result.operands !== undefined) {
+        result.operands = substituteConnection(result.operands, scope);
+    }
+
+    // Parameters passed to a nested instance are expressions over this definition's scope
+    if (result.parameters && typeof result.parameters === 'object') {
+        result.parameters = {};
+        Object.entries(component.parameters).forEach(([name, value]) => {
+            result.parameters[name] = evaluateParameterExpression(value, scope);
+        });
+    }
+
+    return result;
+}
+
+// Expand a reduction such as { "id": "sum", "reduce": "add", "operands": [...] } into a balanced
+// tree of two-input primitives. When pipelined (the default) every tree node takes one cycle
+// and an operand left over at a level is carried through a register, so the tree is one
+// register stage per level; otherwise the nodes are combinational. Returns { components, output }
+// where output is the reference carrying the result.
+function expandReduction(reduction) {
+    const operands = reduction.operands;
+    if (!Array.isArray(operands) || operands.length === 0) {
+        throw new Error(`reduction ${reduction.id} has no operands`);
+    }
+    if (typeof reduction.reduce !== 'string' || reduction.reduce === 'module') {
+        throw new Error(`reduction ${reduction.id} must name a two-input primitive type to reduce with`);
+    }
+
+    const pipelined = reduction.pipelined !== false;
+    const components = [];
+    let level = operands;
+
+    for (let depth = 0; level.length > 1; depth++) {
+        const next = [];
+        for (let index = 0; index < level.length; index += 2) {
+            const position = index / 2;
+            if (index + 1 < level.length) {
+                const id = `${reduction.id}_${reduction.reduce}${depth}_${position}`;
+                components.push({
+                    id: id,
+                    type: reduction.reduce,
+                    latency: pipelined ? 1 : 0,
+                    inputs: { in1: level[index], in2: level[index + 1] }
+                });
+                next.push(`${id}.out`);
+            } else if (pipelined) {
+                const id = `${reduction.id}_reg${depth}_${position}`;
+                components.push({ id: id, type: 'reg', latency: 1, inputs: { in: level[index] } });
+                next.push(`${id}.out`);
+            } else {
+                next.push(level[index]);
+            }
+        }
+        level = next;
+    }
+
+    return { components: components, output: level[0] };
+}
+
+// Parameter values of a definition: its declared defaults, in order (a default may use
+// the parameters before it), with the given overrides applied. Throws on unknown names
+// and non-integer values.
+function resolveDefinitionParameters(definition, overrides = {}) {
+    const declared = definition.parameters && typeof definition.parameters === 'object' ? definition.parameters : {};
+
+    Object.entries(overrides || {}).forEach(([name, value]) => {
+        if (!(name in declared)) {
+            throw new Error(`unknown parameter "${name}"`);
+        }
+        if (!Number.isInteger(value)) {
+            throw new Error(`parameter "${name}" must be an integer, got ${JSON.stringify(value)}`);
+        }
+    });
+
+    const scope = {};
+    Object.entries(declared).forEach(([name, value]) => {
+        scope[name] = overrides && name in overrides
+            ? overrides[name]
+            : evaluateParameterExpression(value, scope);
+    });
+    return scope;
+}
+
+// Turn a raw definition into a concrete one for a set of parameter values: port sizes are
+// evaluated, {expressions} substituted, generate components replicated and reductions
+// expanded into adder trees. Returns { definition, parameters } with the raw format kept,
+// so a definition without parameters comes back unchanged. Throws an Error on problems.
+function elaborateModuleDefinition(definition, overrides = {}) {
+    const scope = resolveDefinitionParameters(definition, overrides);
+
+    const elaboratePorts = ports => Array.isArray(ports) ? ports.map(port => {
+        if (!port || typeof port !== 'object' || port.size === undefined) return port;
+        return { ...port, size: evaluateParameterExpression(port.size, scope) };
+    }) : ports;
+
+    // Replicate generate components, then expand reductions; references to a reduction's
+    // output are redirected to the last node of its tree
+    const components = [];
+    const aliases = new Map();
+    (Array.isArray(definition.components) ? definition.components : []).forEach(component => {
+        if (!component || typeof component !== 'object') {
+            components.push(component);
+            return;
+        }
+
+        const { generate, ...template } = component;
+        const scopes = generate && typeof generate === 'object' ? expandGenerateScopes(generate, scope) : [scope];
+
+        scopes.forEach(inner => {
+            const concrete = substituteComponent(template, inner);
+            if (concrete.reduce === undefined) {
+                components.push(concrete);
+                return;
+            }
+
+            const tree = expandReduction(concrete);
+            components.push(...tree.components);
+            aliases.set(`${concrete.id}.out`, tree.output);
+        });
+    });
+
+    const resolveAlias = reference => {
+        let resolved = reference;
+        const seen = new Set();
+        while (aliases.has(resolved) && !seen.has(resolved)) {
+            seen.add(resolved);
+            resolved = aliases.get(resolved);
+        }
+        return resolved;
+    };
+    const applyAliases = value => Array.isArray(value) ? value.map(applyAliases) : resolveAlias(value);
+
+    components.forEach(component => {
+        if (component && component.inputs && typeof component.inputs === 'object') {
+            Object.keys(component.inputs).forEach(portName => {
+                component.inputs[portName] = applyAliases(component.inputs[portName]);
+            });
+        }
+    });
+
+    let outputMappings = definition.outputMappings;
+    if (outputMappings && typeof outputMappings === 'object') {
+        outputMappings = {};
+        Object.entries(definition.outputMappings).forEach(([portName, value]) => {
+            outputMappings[portName] = applyAliases(substituteConnection(value, scope));
+        });
+    }
+
+    return {
+        definition: {
+            ...definition,
+            inputs: elaboratePorts(definition.inputs),
+            outputs: elaboratePorts(definition.outputs),
+            components: components,
+            outputMappings: outputMappings
+        },
+        parameters: scope
+    };
+}
+
+// Parameter values as text, e.g. "N=8, M=2"
+function formatParameters(parameters) {
+    return Object.entries(parameters || {}).map(([name, value]) => `${name}=${value}`).join(', ');
+}
@@ -0,0 +1,217 @@
+/**
+ * SchematicViewer - Row Layout
+ * Vertical placement inside the clock-cycle columns: elements are ordered to reduce
+ * wire crossings, then packed as close to their sources as they fit without overlapping
+ */
+
+// Layout options: the number of backward and forward ordering sweeps to try, and the
+// smallest vertical gap between two bodies in the same column
+const rowLayoutConfig = {
+    sweeps: 4,
+    gap: 20
+};
+
+// Determine the vertical position for each element (primitive or module), in rows.
+// Columns are fixed by the clock cycles; inputs keep their file order, one row apart
+// at the top of the first column. Returns a Map of element ID to row.
+function determinePrimitiveRows(elements, cycles, feedback = analyzeFeedback(elements)) {
+    const graph = buildRowLayoutGraph(elements, cycles, feedback);
+    const positions = new Map();
+
+    graph.inputs.forEach((element, index) => {
+        positions.set(element.id, (index + 1) * gridConfig.spacing.y);
+    });
+
+    // Start by following the sources (a forward barycenter sweep from the file order), then
+    // alternate backward and forward sweeps while they remove crossings, keeping the best
+    const orders = graph.layers.map(layer => layer.slice());
+    sweepRowLayers(graph, orders, positions, 'forward');
+    let best = { positions: new Map(positions), crossings: countWireCrossings(graph, positions) };
+
+    for (let sweep = 0; sweep < rowLayoutConfig.sweeps && best.crossings > 0; sweep++) {
+        sweepRowLayers(graph, orders, positions, 'backward');
+        sweepRowLayers(graph, orders, positions, 'forward');
+
+        const crossings = countWireCrossings(graph, positions);
+        if (crossings >= best.crossings) break;
+        best = { positions: new Map(positions), crossings: crossings };
+    }
+
+    const rows = new Map();
+    elements.forEach(element => {
+        rows.set(element.id, best.positions.get(element.id) / gridConfig.spacing.y);
+    });
+    return rows;
+}
+
+// The layered graph the row layout works on. An element belongs to the layer of the first
+// column it occupies (elements with a latency above one span several); inputs are kept
+// apart, as they never move. Feedback wires are drawn as back edges and are left out.
+function buildRowLayoutGraph(elements, cycles, feedback) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    const lastColumn = element => cycles.get(element.id);
+    const firstColumn = element => lastColumn(element) - getSpanColumns(element);
+
+    const sources = new Map(elements.map(element => [element.id, []]));
+    const targets = new Map(elements.map(element => [element.id, []]));
+    const edges = [];
+
+    elements.forEach(element => {
+        getInputConnections(element).forEach(({ sourceId }) => {
+            const source = elementsById.get(sourceId);
+            if (!source || feedback.backEdges.has(feedbackEdgeKey(sourceId, element.id))) return;
+
+            sources.get(element.id).push(source);
+            targets.get(source.id).push(element);
+            edges.push({ source: source, target: element, from: lastColumn(source), to: firstColumn(element) });
+        });
+    });
+
+    const inputs = elements.filter(element => element.type === 'input');
+    const layers = [];
+    elements.filter(element => element.type !== 'input').forEach(element => {
+        const column = firstColumn(element);
+        while (layers.length <= column) layers.push([]);
+        layers[column].push(element);
+    });
+
+    return {
+        inputs: inputs,
+        layers: layers,
+        edges: edges,
+        sources: sources,
+        targets: targets,
+        firstColumn: firstColumn,
+        lastColumn: lastColumn
+    };
+}
+
+// Reorder every layer by the barycenter (mean position) of its neighbours, the sources
+// when sweeping forward and the targets when sweeping backward, and place it again.
+// Forward sweeps place each layer before the next is ordered, so later layers follow.
+function sweepRowLayers(graph, orders, positions, direction) {
+    const indices = orders.map((layer, index) => index);
+    if (direction === 'backward') indices.reverse();
+
+    const neighbours = direction === 'forward' ? graph.sources : graph.targets;
+
+    indices.forEach(index => {
+        const keys = new Map();
+
+        orders[index].forEach((element, position) => {
+            const placed = neighbours.get(element.id).filter(neighbour => positions.has(neighbour.id));
+            const fallback = positions.has(element.id) ? positions.get(element.id) : (position + 1) * gridConfig.spacing.y;
+            keys.set(element, placed.length > 0
+                ? placed.reduce((sum, neighbour) => sum + positions.get(neighbour.id), 0) / placed.length
+                : fallback);
+        });
+
+        // A stable sort, so elements with the same neighbours keep their file order
+        const sorted = orders[index].slice().sort((a, b) => keys.get(a) - keys.get(b));
+        orders[index] = orderSameColumnSources(sorted, graph);
+        placeRowLayer(graph, orders[index], index, keys, positions);
+    });
+}
+
+// A combinational element shares the column of its source; keep every such source above
+// its targets, otherwise following the given order
+function orderSameColumnSources(sorted, graph) {
+    const members = new Set(sorted);
+    const ordered = [];
+    const done = new Set();
+
+    while (ordered.length < sorted.length) {
+        const next = sorted.find(element => !done.has(element)
+            && graph.sources.get(element.id).every(source => !members.has(source) || done.has(source) || source === element))
+            || sorted.find(element => !done.has(element)); // A combinational loop: take the next in order
+        ordered.push(next);
+        done.add(next);
+    }
+    return ordered;
+}
+
+// Place the elements of one layer, in order, as close to their keys as the order allows
+// without overlapping: neighbours that would overlap are packed into a block centred on
+// their keys. The block then moves down past anything already in the column (the inputs,
+// or an element from an earlier layer spanning into it).
+function placeRowLayer(graph, layer, column, keys, positions) {
+    const gap = rowLayoutConfig.gap;
+    const minTop = gridConfig.spacing.y / 2;
+
+    // Blocks of touching elements; each sits where the mean of its members' offsets from
+    // their keys is zero
+    const blocks = [];
+    layer.forEach(element => {
+        const height = getElementHeight(element);
+        const block = { members: [{ element: element, offset: 0, height: height }], size: height };
+        block.top = keys.get(element) - height / 2;
+        blocks.push(block);
+
+        while (blocks.length > 1) {
+            const current = blocks[blocks.length - 1];
+            const previous = blocks[blocks.length - 2];
+            if (previous.top + previous.size + gap <= current.top) break;
+
+            current.members.forEach(member => {
+                previous.members.push({ ...member, offset: member.offset + previous.size + gap });
+            });
+            previous.size += gap + current.size;
+            previous.top = previous.members.reduce(
+                (sum, member) => sum + keys.get(member.element) - member.height / 2 - member.offset, 0) / previous.members.length;
+            blocks.pop();
+        }
+    });
+
+    // Bodies already in this column
+    const obstacles = [...graph.inputs, ...graph.layers.slice(0, column).flat()]
+        .filter(element => positions.has(element.id)
+            && graph.firstColumn(element) <= column && graph.lastColumn(element) >= column)
+        .map(element => {
+            const height = getElementHeight(element);
+            return { top: positions.get(element.id) - height / 2, bottom: positions.get(element.id) + height / 2 };
+        })
+        .sort((a, b) => a.top - b.top);
+
+    let cursor = minTop;
+    blocks.forEach(block => {
+        block.members.forEach(member => {
+            let top = Math.max(block.top + member.offset, cursor);
+            obstacles.forEach(obstacle => {
+                if (top < obstacle.bottom + gap && top + member.height + gap > obstacle.top) {
+                    top = obstacle.bottom + gap;
+                }
+            });
+            positions.set(member.element.id, top + member.height / 2);
+            cursor = top + member.height + gap;
+        });
+    });
+}
+
+// Number of pairs of wires that cross when drawn straight between element centres. Wires
+// within one column, and wires sharing an element, are not counted.
+function countWireCrossings(graph, positions) {
+    const edges = graph.edges.filter(edge => edge.to > edge.from);
+    const yAt = (edge, column) => {
+        const from = positions.get(edge.source.id);
+        const to = positions.get(edge.target.id);
+        return from + (to - from) * (column - edge.from) / (edge.to - edge.from);
+    };
+
+    let crossings = 0;
+    for (let i = 0; i < edges.length; i++) {
+        for (let j = i + 1; j < edges.length; j++) {
+            const a = edges[i];
+            const b = edges[j];
+            if (a.source === b.source || a.target === b.target || a.source === b.target || a.target === b.source) continue;
+
+            const start = Math.max(a.from, b.from);
+            const end = Math.min(a.to, b.to);
+            if (start >= end) continue;
+
+            if ((yAt(a, start) - yAt(b, start)) * (yAt(a, end) - yAt(b, end)) < 0) {
+                crossings++;
+            }
+        }
+    }
+    return crossings;
+}
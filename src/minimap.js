@@ -0,0 +1,126 @@
+/**
+ * SchematicViewer - Minimap
+ * A small overview of the whole diagram in the corner of the view, with the visible
+ * area drawn as a rectangle that can be dragged to move the main view
+ */
+
+// Size of the overview in pixels
+const minimapConfig = {
+    width: 200,
+    height: 130,
+    padding: 8
+};
+
+// Mapping from diagram coordinates to the overview, set when it is drawn
+let minimapTransform = null;
+
+// Convert a point between diagram and minimap coordinates
+function toMinimap(point) {
+    return {
+        x: minimapTransform.x + point.x * minimapTransform.scale,
+        y: minimapTransform.y + point.y * minimapTransform.scale
+    };
+}
+
+function fromMinimap(point) {
+    return {
+        x: (point.x - minimapTransform.x) / minimapTransform.scale,
+        y: (point.y - minimapTransform.y) / minimapTransform.scale
+    };
+}
+
+// Draw every element and wire of the current layout at reduced detail
+function renderMinimap() {
+    const container = d3.select('#minimap');
+    if (container.empty()) return;
+
+    const bounds = getDiagramBounds();
+    container.classed('hidden', !bounds);
+    if (!bounds) return;
+
+    // Fit the diagram into the overview, centered
+    const scale = Math.min(
+        (minimapConfig.width - minimapConfig.padding * 2) / bounds.width,
+        (minimapConfig.height - minimapConfig.padding * 2) / bounds.height
+    );
+    minimapTransform = {
+        scale: scale,
+        x: (minimapConfig.width - bounds.width * scale) / 2 - bounds.x * scale,
+        y: (minimapConfig.height - bounds.height * scale) / 2 - bounds.y * scale
+    };
+
+    const map = container.select('svg')
+        .attr('width', minimapConfig.width)
+        .attr('height', minimapConfig.height);
+    map.selectAll('*').remove();
+
+    const elementsById = new Map(currentLayoutElements.map(element => [element.id, element]));
+
+    // Wires as straight lines between element centres
+    map.append('g')
+        .attr('class', 'minimap-connections')
+        .selectAll('line')
+        .data(diagram.selectAll('.connection').data().flatMap(connection =>
+            connectionSources(connection).map(source => [elementsById.get(source), elementsById.get(connection.target)])
+        ).filter(([source, target]) => source && target))
+        .enter()
+        .append('line')
+        .attr('x1', d => toMinimap(d[0].position).x)
+        .attr('y1', d => toMinimap(d[0].position).y)
+        .attr('x2', d => toMinimap(d[1].position).x)
+        .attr('y2', d => toMinimap(d[1].position).y);
+
+    map.append('g')
+        .attr('class', 'minimap-elements')
+        .selectAll('rect')
+        .data(currentLayoutElements)
+        .enter()
+        .append('rect')
+        .attr('class', d => `minimap-element minimap-${d.type}`)
+        .attr('x', d => toMinimap(d.position).x - getElementWidth(d) * scale / 2)
+        .attr('y', d => toMinimap(d.position).y - getElementHeight(d) * scale / 2)
+        .attr('width', d => Math.max(getElementWidth(d) * scale, 1))
+        .attr('height', d => Math.max(getElementHeight(d) * scale, 1));
+
+    map.append('rect').attr('class', 'minimap-viewport');
+    updateMinimapViewport(d3.zoomTransform(svg.node()));
+}
+
+// Move the viewport rectangle to the area shown by a zoom transform
+function updateMinimapViewport(transform) {
+    if (!minimapTransform) return;
+
+    const container = document.getElementById('diagram-container');
+    const topLeft = toMinimap({ x: -transform.x / transform.k, y: -transform.y / transform.k });
+    const scale = minimapTransform.scale / transform.k;
+
+    d3.select('#minimap .minimap-viewport')
+        .attr('x', topLeft.x)
+        .attr('y', topLeft.y)
+        .attr('width', container.clientWidth * scale)
+        .attr('height', container.clientHeight * scale);
+}
+
+// Pan the main view, keeping its zoom level, so a diagram point is in the centre
+function centerViewOn(point) {
+    const container = document.getElementById('diagram-container');
+    const k = d3.zoomTransform(svg.node()).k;
+
+    svg.call(zoom.transform, d3.zoomIdentity
+        .translate(container.clientWidth / 2 - point.x * k, container.clientHeight / 2 - point.y * k)
+        .scale(k));
+}
+
+// Clicking or dragging in the minimap moves the main view there
+function setupMinimap() {
+    const map = d3.select('#minimap svg');
+    if (map.empty()) return;
+
+    map.call(d3.drag()
+        .container(function() { return this; })
+        .on('start drag', event => {
+            if (minimapTransform) {
+                centerViewOn(fromMinimap({ x: event.x, y: event.y }));
+            }
+        }));
+}
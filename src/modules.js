@@ -0,0 +1,516 @@
+/**
+ * SchematicViewer - Module Definitions Registry
+ * Stores reusable module definitions and instantiates module instances from them
+ */
+
+// Registry of module definitions, keyed by module type
+const moduleRegistry = new Map();
+
+// Levels of abstraction a definition can declare, lowest first. A layer groups modules
+// (e.g. a linear_layer of quantized_linear units) and a network groups layers.
+const moduleLevels = ['module', 'layer', 'network'];
+
+// Normalize diagram data into a flat list of elements, registering any primitive and
+// module definitions. Accepts both the bare array format and the
+// { primitiveDefinitions, moduleDefinitions, elements } format.
+function parseDiagramData(data) {
+    moduleRegistry.clear();
+
+    if (Array.isArray(data)) {
+        registerPrimitiveDefinitions({});
+        instantiateModules(data);
+        return data;
+    }
+
+    registerPrimitiveDefinitions(data.primitiveDefinitions);
+    registerModuleDefinitions(data.moduleDefinitions || {});
+
+    const elements = data.elements || [];
+    instantiateModules(elements);
+    return elements;
+}
+
+// Add every definition in a moduleDefinitions object to the registry
+function registerModuleDefinitions(definitions) {
+    for (const [moduleType, definition] of Object.entries(definitions)) {
+        moduleRegistry.set(moduleType, normalizeModuleDefinition(moduleType, definition));
+    }
+}
+
+// Convert a raw moduleDefinitions entry into the form stored in the registry, elaborated
+// for a set of parameter values (its defaults when none are given). The raw entry is kept
+// as the template other parameter values are elaborated from. A definition that cannot be
+// elaborated is stored empty, with the reason in error for the diagnostics to report.
+function normalizeModuleDefinition(moduleType, definition, parameters = {}) {
+    let elaborated;
+    try {
+        elaborated = elaborateModuleDefinition(definition, parameters);
+    } catch (error) {
+        const message = `Module definition ${moduleType}${Object.keys(parameters).length ? ` (${formatParameters(parameters)})` : ''}: ${error.message}`;
+        elaborated = { definition: { level: definition.level }, parameters: {}, error: message };
+    }
+
+    const concrete = elaborated.definition;
+    return {
+        moduleType: moduleType,
+        inputs: normalizePortList(concrete.inputs),
+        outputs: normalizePortList(concrete.outputs),
+        components: concrete.components || [],
+        outputMappings: concrete.outputMappings || {},
+        level: moduleLevels.includes(concrete.level) ? concrete.level : 'module',
+        parameters: elaborated.parameters,
+        template: definition,
+        error: elaborated.error || null
+    };
+}
+
+// Definitions elaborated for non-default parameter values, per registered definition and
+// keyed by the parameter values
+const specializedDefinitions = new WeakMap();
+
+// A definition elaborated for the parameters an instance passes; the definition itself
+// when it passes none
+function specializeModuleDefinition(definition, parameters) {
+    if (!definition || !parameters || Object.keys(parameters).length === 0) {
+        return definition;
+    }
+
+    if (!specializedDefinitions.has(definition)) {
+        specializedDefinitions.set(definition, new Map());
+    }
+    const cache = specializedDefinitions.get(definition);
+    const key = formatParameters(parameters);
+    if (!cache.has(key)) {
+        cache.set(key, normalizeModuleDefinition(definition.moduleType, definition.template, parameters));
+    }
+    return cache.get(key);
+}
+
+// The definition a module instance was built from, elaborated for its parameters
+function getInstanceDefinition(instance, definitions = moduleRegistry) {
+    return specializeModuleDefinition(definitions.get(instance.moduleType), instance.parameters);
+}
+
+// Module type of an instance with the parameters it passes, e.g. "quantized_linear(N=8)"
+function describeModuleType(instance) {
+    const parameters = formatParameters(instance.parameters);
+    return parameters ? `${instance.moduleType}(${parameters})` : instance.moduleType;
+}
+
+// Level of abstraction of a module instance: its definition's level, or "module"
+function getModuleLevel(instance) {
+    const definition = getModuleDefinition(instance.moduleType);
+    return definition ? definition.level : 'module';
+}
+
+// Chain of definitions through which a definition ends up instantiating itself, e.g.
+// ["a", "b", "a"], or null when it does not. definitions maps module types to raw or
+// normalized definitions.
+function findRecursiveDefinition(moduleType, definitions, path = []) {
+    if (path.includes(moduleType)) {
+        return path.slice(path.indexOf(moduleType)).concat(moduleType);
+    }
+
+    const definition = definitions instanceof Map ? definitions.get(moduleType) : definitions[moduleType];
+    if (!definition || !Array.isArray(definition.components)) return null;
+
+    for (const component of definition.components) {
+        if (!component || component.type !== 'module') continue;
+        const chain = findRecursiveDefinition(component.moduleType, definitions, path.concat(moduleType));
+        if (chain) return chain;
+    }
+    return null;
+}
+
+// Look up a module definition by its module type
+function getModuleDefinition(moduleType) {
+    return moduleRegistry.get(moduleType);
+}
+
+// Convert a port list such as ["bias", {"name": "input", "size": 2}] into { name, size } objects.
+// Other declared properties of a port (e.g. its width) are kept.
+function normalizePortList(ports) {
+    if (!Array.isArray(ports)) {
+        return [];
+    }
+
+    return ports.map(port => {
+        if (typeof port === 'string') {
+            return { name: port, size: 1 };
+        }
+        return { ...port, size: port.size || 1 };
+    });
+}
+
+// Create the internal components of every module instance that references a definition
+function instantiateModules(elements) {
+    // Track every ID in use so generated component IDs never collide
+    const usedIds = new Set(elements.map(element => element.id));
+
+    elements.forEach(element => {
+        if (element.type !== 'module') return;
+
+        // Modules that list their own components (inline format) are left untouched
+        if (Array.isArray(element.components)) return;
+
+        const definition = getInstanceDefinition(element);
+        if (!definition) {
+            // The same problem validation reports, so the panel lists it once
+            addRuntimeDiagnostic('error', `Module ${element.id} has no definition for moduleType "${element.moduleType}" and no components array`, element.id, 'instantiation');
+            element.components = [];
+            return;
+        }
+
+        instantiateModule(element, definition, usedIds);
+    });
+}
+
+// Populate a module instance's components and outputs from its definition. Components that
+// are themselves module instances are instantiated in turn, to any depth; stack holds the
+// module types being instantiated so that a recursive definition cannot loop forever.
+function instantiateModule(instance, definition, usedIds, stack = []) {
+    if (stack.includes(definition.moduleType)) {
+        const chain = stack.slice(stack.indexOf(definition.moduleType)).concat(definition.moduleType);
+        addRuntimeDiagnostic('error', `Module definition ${definition.moduleType} instantiates itself: ${chain.join(' → ')}`, instance.id, 'instantiation');
+        instance.components = [];
+        instance.outputs = {};
+        return;
+    }
+
+    // Map each template component ID to a unique ID scoped to this instance
+    const idMap = new Map();
+    definition.components.forEach(component => {
+        idMap.set(component.id, generateComponentId(instance.id, component.id, usedIds));
+    });
+
+    const inputNames = new Set(definition.inputs.map(port => port.name));
+
+    // Resolve a template connection string against this instance
+    const resolve = reference => resolveTemplateReference(reference, instance, idMap, inputNames);
+
+    instance.components = definition.components.map(component => {
+        const inputs = {};
+        if (component.inputs) {
+            for (const [portName, reference] of Object.entries(component.inputs)) {
+                // A vector port of a nested instance lists one reference per lane
+                inputs[portName] = Array.isArray(reference) ? reference.map(resolve) : resolve(reference);
+            }
+        }
+
+        const instantiated = {
+            ...component,
+            id: idMap.get(component.id),
+            localId: component.id,
+            parentModule: instance.id,
+            inputs: inputs
+        };
+
+        // A nested instance of another definition (e.g. a unit inside a layer)
+        if (component.type === 'module' && !Array.isArray(component.components)) {
+            const nestedDefinition = getInstanceDefinition(component);
+            if (nestedDefinition) {
+                instantiateModule(instantiated, nestedDefinition, usedIds, stack.concat(definition.moduleType));
+            } else {
+                addRuntimeDiagnostic('error', `Module ${instantiated.id} has no definition for moduleType "${component.moduleType}"`, instantiated.id, 'instantiation');
+                instantiated.components = [];
+            }
+        }
+
+        return instantiated;
+    });
+
+    // Map module output ports to the internal components that drive them.
+    // Vector outputs map each lane through an array of references.
+    instance.outputs = {};
+    definition.outputs.forEach(port => {
+        const mapping = definition.outputMappings[port.name];
+        if (Array.isArray(mapping)) {
+            instance.outputs[port.name] = mapping.map(resolve);
+        } else {
+            instance.outputs[port.name] = mapping ? resolve(mapping) : null;
+        }
+    });
+}
+
+// List a module instance's input or output ports as { name, size } objects.
+// Instances of a definition use its declared ports; inline modules infer them
+// from their connections, where an array is a vector port.
+function getModulePorts(instance, direction, definitions = moduleRegistry) {
+    const definition = getInstanceDefinition(instance, definitions);
+    if (definition) {
+        return definition[direction];
+    }
+
+    const connections = instance[direction] || {};
+    return Object.entries(connections).map(([name, value]) => ({
+        name: name,
+        size: Array.isArray(value) ? value.length : 1
+    }));
+}
+
+// Check a module instance's vector inputs against the sizes declared by its definition.
+// Returns a list of problem descriptions (empty when the sizes match).
+function checkModuleInstanceSizes(instance, definition, elementsById, definitions = moduleRegistry) {
+    const problems = [];
+    const inputs = instance.inputs || {};
+
+    definition.inputs.forEach(port => {
+        const value = inputs[port.name];
+        if (value === undefined) return;
+
+        if (Array.isArray(value)) {
+            if (value.length !== port.size) {
+                problems.push(`input "${port.name}" expects ${port.size} connection(s) but ${value.length} were given`);
+            }
+        } else {
+            // A single connection must carry a signal of the declared width
+            const width = getConnectionWidth(value, elementsById, definitions);
+            if (width !== port.size) {
+                problems.push(`input "${port.name}" expects width ${port.size} but "${value}" has width ${width}`);
+            }
+        }
+    });
+
+    // Template indices must fall inside the declared vector sizes
+    const sizes = new Map(definition.inputs.map(port => [port.name, port.size]));
+    definition.components.forEach(component => {
+        for (const reference of Object.values(component.inputs || {})) {
+            const match = typeof reference === 'string' && reference.match(/^\$\.([^[\]]+)\[(\d+)\]$/);
+            if (match && sizes.has(match[1]) && +match[2] >= sizes.get(match[1])) {
+                problems.push(`component ${component.id} references ${reference} but "${match[1]}" has size ${sizes.get(match[1])}`);
+            }
+        }
+    });
+
+    return problems;
+}
+
+// Width of the signal a connection refers to: a vector output of a module instance
+// has its declared size, everything else is a single lane
+function getConnectionWidth(connection, elementsById, definitions = moduleRegistry) {
+    if (typeof connection !== 'string') return 1;
+
+    const [sourceId, sourcePort] = connection.split('.');
+    const source = elementsById.get(sourceId);
+
+    if (source && source.type === 'module') {
+        const port = getModulePorts(source, 'outputs', definitions).find(p => p.name === sourcePort);
+        if (port) return port.size;
+    }
+
+    return 1;
+}
+
+// Internal latencies already computed, per module instance
+const moduleLatencyCache = new WeakMap();
+
+// Number of clock cycles from a module instance's inputs to its slowest output,
+// assuming every input arrives in the same cycle
+function getModuleLatency(instance) {
+    // A module with nothing inside still takes a column, like any other element
+    if ((instance.components || []).length === 0) {
+        return defaultPrimitiveLatency;
+    }
+    return Math.max(0, ...getModuleOutputLatencies(instance).values());
+}
+
+// Number of clock cycles from a module instance's inputs to each of its outputs (the slowest
+// lane of a vector output), assuming every input arrives in the same cycle. Nested instances
+// contribute the latency of the output port that is read, so latencies roll up exactly
+// through any number of levels. Wires closing an internal feedback loop are not followed.
+function getModuleOutputLatencies(instance) {
+    if (moduleLatencyCache.has(instance)) {
+        return moduleLatencyCache.get(instance);
+    }
+
+    const schedule = buildModuleSchedule(instance);
+    const latencies = new Map();
+    for (const [portName, mapping] of Object.entries(instance.outputs || {})) {
+        const lanes = (Array.isArray(mapping) ? mapping : [mapping]).filter(reference => typeof reference === 'string');
+        latencies.set(portName, Math.max(0, ...lanes.map(schedule.referenceReady)));
+    }
+
+    moduleLatencyCache.set(instance, latencies);
+    return latencies;
+}
+
+// Internal schedule of a module instance, counting its inputs as arriving in cycle 0:
+// startCycle(component) is the cycle at which a component's inputs have all arrived and
+// referenceReady("id.port") the cycle at which an internal connection carries its value
+function buildModuleSchedule(instance) {
+    const components = instance.components || [];
+    const componentsById = new Map(components.map(component => [component.id, component]));
+    const readyCycles = new Map();
+    const visiting = new Set();
+
+    function startCycle(component) {
+        let start = 0;
+        getInputConnections(component).forEach(input => {
+            start = Math.max(start, referenceReady(`${input.sourceId}.${input.sourcePort}`));
+        });
+        return start;
+    }
+
+    function referenceReady(reference) {
+        const [sourceId, sourcePort] = reference.split('.');
+        const source = componentsById.get(sourceId);
+        if (!source) return 0;
+
+        const key = `${sourceId}.${sourcePort}`;
+        if (readyCycles.has(key)) return readyCycles.get(key);
+        if (visiting.has(sourceId)) return 0;
+
+        visiting.add(sourceId);
+        let latency = getElementLatency(source);
+        if (source.type === 'module' && !isValidLatency(source.latency)) {
+            const portLatency = getModuleOutputLatencies(source).get(sourcePort);
+            if (portLatency !== undefined) latency = portLatency;
+        }
+        const cycle = startCycle(source) + latency;
+        visiting.delete(sourceId);
+
+        readyCycles.set(key, cycle);
+        return cycle;
+    }
+
+    return { startCycle: startCycle, referenceReady: referenceReady };
+}
+
+// Cycle, counted from a module instance's start, at which each of its inputs is first read
+// by a component inside, keyed by port name or "port[lane]" for one lane of a vector input.
+// An input first read after a pipeline stage (e.g. a bias added after a multiply) can arrive
+// that much later than the others. Inputs nothing reads are left out. Returns null for a
+// module without a definition, whose components cannot be traced back to its ports.
+function getModuleInputOffsets(instance, definitions = moduleRegistry) {
+    const definition = getInstanceDefinition(instance, definitions);
+    if (!definition || !Array.isArray(instance.components)) return null;
+
+    const inputNames = new Set(definition.inputs.map(port => port.name));
+    const componentIds = new Set(definition.components.map(component => component.id));
+    const schedule = buildModuleSchedule(instance);
+    const offsets = new Map();
+
+    // Instantiated components keep the order of the definition's components
+    definition.components.forEach((component, index) => {
+        const instantiated = instance.components[index];
+        if (!instantiated) return;
+
+        // A nested instance reads each of its own inputs at its own offset
+        const nested = instantiated.type === 'module' && !isValidLatency(instantiated.latency)
+            ? getModuleInputOffsets(instantiated, definitions)
+            : null;
+
+        for (const [portName, reference] of Object.entries(component.inputs || {})) {
+            const lanes = Array.isArray(reference) ? reference : [reference];
+            lanes.forEach((lane, laneIndex) => {
+                const key = getTemplateInputKey(lane, inputNames, componentIds);
+                if (key === null) return;
+
+                let cycle = schedule.startCycle(instantiated);
+                if (nested) {
+                    // A lane of the nested port, or the whole port (every lane at once)
+                    const read = Array.isArray(reference)
+                        ? [`${portName}[${laneIndex}]`, portName]
+                        : [...nested.keys()].filter(nestedKey => nestedKey === portName || nestedKey.startsWith(`${portName}[`));
+                    const nestedOffsets = read.filter(nestedKey => nested.has(nestedKey)).map(nestedKey => nested.get(nestedKey));
+                    if (nestedOffsets.length === 0) return;
+                    cycle += Math.min(...nestedOffsets);
+                }
+
+                offsets.set(key, Math.min(cycle, offsets.has(key) ? offsets.get(key) : Infinity));
+            });
+        }
+    });
+
+    return offsets;
+}
+
+// Module input a template reference reads, as "port" or "port[lane]", or null when it
+// refers to a component or a top-level element (resolved as resolveTemplateReference does)
+function getTemplateInputKey(reference, inputNames, componentIds) {
+    if (typeof reference !== 'string') return null;
+
+    const inputMatch = reference.match(/^\$\.([^[\]]+)(?:\[(\d+)\])?$/);
+    if (inputMatch) {
+        return inputMatch[2] === undefined ? inputMatch[1] : `${inputMatch[1]}[${inputMatch[2]}]`;
+    }
+
+    const sourceId = reference.split('.')[0];
+    return !componentIds.has(sourceId) && inputNames.has(sourceId) ? sourceId : null;
+}
+
+// Build an instance-scoped component ID (e.g. "linear1_mul0") that is not already in use
+function generateComponentId(instanceId, componentId, usedIds) {
+    const baseId = `${instanceId}_${componentId}`;
+    let id = baseId;
+    let suffix = 1;
+
+    while (usedIds.has(id)) {
+        id = `${baseId}_${suffix++}`;
+    }
+
+    usedIds.add(id);
+    return id;
+}
+
+// Resolve a reference used inside a module definition template.
+//   "$.bias"       -> the connection wired to the instance's "bias" input
+//   "$.input[1]"   -> the second connection wired to the instance's "input" vector
+//   "mul0.out"     -> the instance-scoped internal component ("linear1_mul0.out")
+//   "bias.out"     -> shorthand for "$.bias" when "bias" is a module input name
+// Anything else is left unchanged and treated as a reference to a top-level element.
+function resolveTemplateReference(reference, instance, idMap, inputNames) {
+    if (typeof reference !== 'string') {
+        return reference;
+    }
+
+    // Module input reference: "$.port" or "$.port[index]"
+    const inputMatch = reference.match(/^\$\.([^[\]]+)(?:\[(\d+)\])?$/);
+    if (inputMatch) {
+        const [, portName, index] = inputMatch;
+        return lookupInstanceInput(instance, portName, index);
+    }
+
+    const [sourceId, sourcePort] = reference.split('.');
+
+    // Reference to another component inside the same definition
+    if (idMap.has(sourceId)) {
+        return `${idMap.get(sourceId)}.${sourcePort}`;
+    }
+
+    // Reference to a module input by name (e.g. "bias.out" for the "bias" input)
+    if (inputNames.has(sourceId)) {
+        return lookupInstanceInput(instance, sourceId);
+    }
+
+    return reference;
+}
+
+// Find the connection wired to an instance input, optionally indexing into a vector input
+function lookupInstanceInput(instance, portName, index) {
+    const connection = instance.inputs ? instance.inputs[portName] : undefined;
+
+    if (connection === undefined) {
+        addRuntimeDiagnostic('error', `Input "${portName}" of ${instance.id} is not connected`, instance.id, 'instantiation');
+        return null;
+    }
+
+    if (index === undefined) {
+        return connection;
+    }
+
+    if (!Array.isArray(connection)) {
+        // A scalar connection can still be addressed as element 0
+        if (+index === 0) return connection;
+        addRuntimeDiagnostic('error', `Module ${instance.id} input "${portName}" is not a vector, so it has no element ${index}`, instance.id, 'instantiation');
+        return null;
+    }
+
+    const value = connection[+index];
+    if (value === undefined) {
+        addRuntimeDiagnostic('error', `Module ${instance.id} input "${portName}" has no element ${index}`, instance.id, 'instantiation');
+        return null;
+    }
+
+    return value;
+}
@@ -0,0 +1,255 @@
+/**
+ * SchematicViewer - Drill-Down Navigation
+ * Enters a module instance so the canvas shows only its internal netlist, with the
+ * module's ports drawn as boundary inputs and outputs, and a breadcrumb bar to go back up
+ */
+
+// IDs of the module instances entered, outermost first; empty at the top level
+const drillPath = [];
+
+// Zoom and pan of every level visited, keyed by its drill path
+const levelTransforms = new Map();
+
+// Elements of the level being shown: the top-level elements, or the entered module's netlist
+let currentLevelElements = [];
+
+// Outer signal behind each boundary port of the entered module, as "elementId.port" for both
+const levelBoundarySources = new Map();
+
+// Key of a drill path in levelTransforms
+function getLevelKey(path = drillPath) {
+    return path.join('/');
+}
+
+// The signal a port of the rendered level carries in the full design: boundary ports stand
+// for the outer signal wired to them, every other port for itself
+function resolveBoundaryReference(reference) {
+    return levelBoundarySources.get(reference) || reference;
+}
+
+// Elements to show at the current level. A module that no longer exists (e.g. after an
+// edit) is left, falling back to the nearest enclosing level that still does.
+function getLevelElements() {
+    levelBoundarySources.clear();
+
+    while (drillPath.length > 0) {
+        const module = findElementById(drillPath[drillPath.length - 1]);
+        if (module && module.type === 'module' && (module.components || []).length > 0) {
+            return buildModuleLevel(module);
+        }
+        drillPath.pop();
+    }
+
+    return currentElements;
+}
+
+// Build the netlist shown inside a module: a boundary input per input port (one per lane of a
+// vector port), the module's components with every wire from outside rewired to the boundary
+// input it came through, and a boundary output per output port (or lane)
+function buildModuleLevel(module) {
+    const definition = getInstanceDefinition(module);
+
+    // Every ID inside the module, and every ID in use, so boundary IDs never collide
+    const internalIds = new Set();
+    const collectInternal = list => list.forEach(element => {
+        internalIds.add(element.id);
+        if (element.type === 'module') collectInternal(element.components || []);
+    });
+    collectInternal(module.components);
+
+    const usedIds = new Set();
+    const collectUsed = list => list.forEach(element => {
+        usedIds.add(element.id);
+        if (element.type === 'module') collectUsed(element.components || []);
+    });
+    collectUsed(currentElements);
+
+    // Boundary inputs keyed by port name, or "port[lane]" for the lanes of a vector port
+    const inputPorts = getModulePorts(module, 'inputs');
+    const portSizes = new Map(inputPorts.map(port => [port.name, port.size]));
+    const keyOf = (name, lane) => (portSizes.get(name) || 1) > 1 && lane !== null ? `${name}[${lane}]` : name;
+
+    const boundaryInputs = new Map();
+    const addBoundaryInput = (key, localId, source) => {
+        const element = {
+            id: generateComponentId(module.id, localId, usedIds),
+            type: 'input',
+            label: key,
+            boundary: true
+        };
+        boundaryInputs.set(key, element);
+        if (source) levelBoundarySources.set(`${element.id}.out`, source);
+        return element;
+    };
+
+    inputPorts.forEach(port => {
+        const value = module.inputs ? module.inputs[port.name] : undefined;
+        if (port.size > 1) {
+            for (let lane = 0; lane < port.size; lane++) {
+                addBoundaryInput(keyOf(port.name, lane), `in_${port.name}_${lane}`, Array.isArray(value) ? value[lane] : null);
+            }
+        } else {
+            addBoundaryInput(port.name, `in_${port.name}`, Array.isArray(value) ? value[0] : value);
+        }
+    });
+
+    // The module input port (and lane) an outer reference was wired through: from the
+    // definition's template when there is one, otherwise by matching the instance's inputs
+    const findInputKey = (reference, template, lane) => {
+        const port = definition ? getTemplateInputPort(template, definition) : null;
+        if (port) {
+            return keyOf(port.name, port.index !== null ? port.index : lane);
+        }
+
+        for (const [name, value] of Object.entries(module.inputs || {})) {
+            if (Array.isArray(value) && value.includes(reference)) return keyOf(name, value.indexOf(reference));
+            if (value === reference) return name;
+        }
+        return null;
+    };
+
+    // Keep internal wires; route anything from outside through its boundary input. An outer
+    // reference that matches no input port (e.g. in an inline module) gets a boundary input
+    // of its own, labelled with the reference.
+    const rewire = (reference, template, lane) => {
+        if (typeof reference !== 'string' || internalIds.has(reference.split('.')[0])) return reference;
+
+        const key = findInputKey(reference, template, lane) || reference;
+        const boundary = boundaryInputs.get(key)
+            || addBoundaryInput(key, `in_${reference.replace(/\W/g, '_')}`, reference);
+        return `${boundary.id}.out`;
+    };
+
+    const rewireValue = (value, template) => Array.isArray(value)
+        ? value.map((lane, index) => rewire(lane, Array.isArray(template) ? template[index] : template, index))
+        : rewire(value, template, null);
+
+    // Copy rather than modify the components so the design itself keeps its wiring.
+    // Templates only apply to the module's own components; deeper ones match by value.
+    const copyElement = (element, template) => {
+        const inputs = {};
+        Object.entries(element.inputs || {}).forEach(([portName, value]) => {
+            inputs[portName] = rewireValue(value, template && template.inputs ? template.inputs[portName] : undefined);
+        });
+
+        const copy = { ...element, inputs: inputs };
+        if (element.type === 'module') {
+            copy.components = (element.components || []).map(component => copyElement(component, null));
+            copy.outputs = {};
+            Object.entries(element.outputs || {}).forEach(([portName, value]) => {
+                copy.outputs[portName] = rewireValue(value, undefined);
+            });
+        }
+        return copy;
+    };
+
+    const components = module.components.map(component => copyElement(component,
+        definition ? definition.components.find(c => c.id === component.localId) : null));
+
+    // One boundary output per output port, or per lane of a vector output
+    const boundaryOutputs = [];
+    getModulePorts(module, 'outputs').forEach(port => {
+        const mapping = module.outputs ? module.outputs[port.name] : undefined;
+        const template = definition ? definition.outputMappings[port.name] : undefined;
+        const lanes = Array.isArray(mapping) ? mapping.map((lane, index) => index) : [null];
+
+        lanes.forEach(lane => {
+            const element = {
+                id: generateComponentId(module.id, lane === null ? `out_${port.name}` : `out_${port.name}_${lane}`, usedIds),
+                type: 'output',
+                label: lane === null ? port.name : `${port.name}[${lane}]`,
+                boundary: true,
+                inputs: {
+                    in: lane === null
+                        ? rewire(mapping, template, null)
+                        : rewire(mapping[lane], Array.isArray(template) ? template[lane] : template, lane)
+                }
+            };
+            boundaryOutputs.push(element);
+        });
+    });
+
+    return [...boundaryInputs.values(), ...components, ...boundaryOutputs];
+}
+
+// The definition input a template reference names, as { name, index } (index null unless
+// it picks a lane), or null when it refers to a component. Follows resolveTemplateReference.
+function getTemplateInputPort(template, definition) {
+    if (typeof template !== 'string') return null;
+
+    const match = template.match(/^\$\.([^[\]]+)(?:\[(\d+)\])?$/);
+    if (match) {
+        return { name: match[1], index: match[2] !== undefined ? +match[2] : null };
+    }
+
+    const sourceId = template.split('.')[0];
+    if (definition.components.some(component => component.id === sourceId)) return null;
+    return definition.inputs.some(port => port.name === sourceId) ? { name: sourceId, index: null } : null;
+}
+
+// Show the level at a drill path, remembering the zoom and pan of the level being left
+// and restoring the one last used at the new level (a new level is zoomed to fit)
+function showLevel(path) {
+    levelTransforms.set(getLevelKey(), d3.zoomTransform(svg.node()));
+
+    drillPath.splice(0, drillPath.length, ...path);
+    coneSelection = null;
+    renderCurrentDiagram();
+
+    const saved = levelTransforms.get(getLevelKey());
+    if (saved) {
+        svg.call(zoom.transform, saved);
+    } else {
+        zoomToFit();
+    }
+}
+
+// Enter a module instance, wherever it sits in the hierarchy
+function enterModule(moduleId) {
+    const module = findElementById(moduleId);
+    if (!module || module.type !== 'module') {
+        addRuntimeDiagnostic('error', `Module with ID ${moduleId} not found`, null, 'navigation');
+        return;
+    }
+
+    // Nothing to show for a module without internal components
+    if (!module.components || module.components.length === 0) {
+        addRuntimeDiagnostic('warning', `Module ${moduleId} has no internal components to enter`, moduleId, 'navigation');
+        return;
+    }
+
+    showLevel(getEnclosingModules(module).map(enclosing => enclosing.id).concat(moduleId));
+}
+
+// Draw the breadcrumb bar (Top › linear1 › …); every level but the current one is a link back
+function renderBreadcrumbs() {
+    const bar = d3.select('#breadcrumbs');
+    if (bar.empty()) return;
+
+    bar.selectAll('*').remove();
+    bar.classed('hidden', drillPath.length === 0);
+
+    const crumbs = [{ label: 'Top', title: 'Top level', path: [] }].concat(drillPath.map((id, index) => {
+        const module = findElementById(id);
+        return {
+            label: module ? module.localId || module.id : id,
+            title: module && module.moduleType ? `${id} (${describeModuleType(module)})` : id,
+            path: drillPath.slice(0, index + 1)
+        };
+    }));
+
+    crumbs.forEach((crumb, index) => {
+        if (index > 0) {
+            bar.append('span').attr('class', 'breadcrumb-separator').text('›');
+        }
+
+        const current = index === crumbs.length - 1;
+        bar.append('span')
+            .attr('class', current ? 'breadcrumb breadcrumb-current' : 'breadcrumb')
+            .attr('title', crumb.title)
+            .text(crumb.label)
+            .on('click', () => {
+                if (!current) showLevel(crumb.path);
+            });
+    });
+}
@@ -0,0 +1,111 @@
+/**
+ * SchematicViewer - Default Primitive Library
+ * The built-in primitive types, written in the same format as a diagram's
+ * primitiveDefinitions section. A diagram can override any of these settings
+ * or declare types of its own.
+ */
+
+// Each type lists its input and output port names, the symbol (text) or glyph (a large
+// operator sign) drawn on its body, its box size in pixels and the colour class of its body.
+// A port may be { name, side } to draw it on another edge, and a symbol may show element
+// properties in braces. A type may also set a default latency; the bit operators are plain
+// wiring and take none.
+const defaultPrimitiveLibrary = {
+    input: {
+        description: 'Input signal',
+        inputs: [],
+        outputs: ['out'],
+        width: 80,
+        height: 40,
+        colorClass: 'input'
+    },
+    output: {
+        description: 'Output value',
+        inputs: ['in'],
+        outputs: [],
+        width: 80,
+        height: 40,
+        colorClass: 'output'
+    },
+    add: {
+        description: 'Addition operation',
+        inputs: ['in1', 'in2'],
+        outputs: ['out'],
+        glyph: '+',
+        colorClass: 'arith'
+    },
+    mul: {
+        description: 'Multiplication operation',
+        inputs: ['in1', 'in2'],
+        outputs: ['out'],
+        glyph: '×',
+        colorClass: 'arith'
+    },
+    relu2: {
+        description: 'Square of ReLU activation',
+        inputs: ['in'],
+        outputs: ['out'],
+        symbol: 'ReLU²',
+        colorClass: 'activation'
+    },
+    clamp: {
+        description: 'Range limiter',
+        inputs: ['in'],
+        outputs: ['out'],
+        symbol: 'clamp',
+        colorClass: 'limit'
+    },
+    reg: {
+        description: 'Register for clock cycle delay',
+        inputs: ['in'],
+        outputs: ['out'],
+        symbol: 'REG',
+        colorClass: 'register'
+    },
+    slice: {
+        description: 'Bit slice: bits msb down to lsb of the input',
+        inputs: ['in'],
+        outputs: ['out'],
+        symbol: '[{msb}:{lsb}]',
+        colorClass: 'logic',
+        latency: 0
+    },
+    split: {
+        description: 'Split at bit "at" into high and low parts',
+        inputs: ['in'],
+        outputs: ['hi', 'lo'],
+        symbol: 'split {at}',
+        width: 90,
+        portLabels: true,
+        colorClass: 'logic',
+        latency: 0
+    },
+    concat: {
+        description: 'Concatenation: hi above the "at" bits of lo',
+        inputs: ['hi', 'lo'],
+        outputs: ['out'],
+        symbol: 'concat {at}',
+        width: 90,
+        portLabels: true,
+        colorClass: 'logic',
+        latency: 0
+    },
+    mux: {
+        description: 'Multiplexer: in1 when sel is non-zero, otherwise in0',
+        inputs: ['in0', 'in1', { name: 'sel', side: 'bottom' }],
+        outputs: ['out'],
+        symbol: 'MUX',
+        width: 80,
+        portLabels: true,
+        colorClass: 'logic'
+    },
+    divmod: {
+        description: 'Integer division: quotient and remainder',
+        inputs: ['in1', 'in2'],
+        outputs: ['quot', 'rem'],
+        symbol: '÷ %',
+        width: 80,
+        portLabels: true,
+        colorClass: 'arith'
+    }
+};
@@ -0,0 +1,142 @@
+/**
+ * SchematicViewer - Primitive Types
+ * Registry of primitive types: the default library plus any types declared in the
+ * diagram's primitiveDefinitions section, with their ports, appearance and latency
+ */
+
+// Latency used for any primitive type that does not declare one
+const defaultPrimitiveLatency = 1;
+
+// Box size of a primitive type that does not declare one
+const defaultPrimitiveSize = {
+    width: 60,
+    height: 60
+};
+
+// Primitive types by name, as normalized definitions
+const primitiveRegistry = new Map();
+
+// Sides of a primitive body a port can be drawn on. Inputs default to the left and
+// outputs to the right; a select input, for example, can sit on the bottom.
+const primitivePortSides = ['left', 'right', 'top', 'bottom'];
+
+// Convert a primitive definition into the form stored in the registry. Ports default to
+// a single "in" and "out"; anything invalid falls back to its default. A port is a name or
+// { name, side }; the registry keeps the names in inputs and outputs and the sides in sides.
+function normalizePrimitiveDefinition(definition) {
+    const sides = {};
+    const portList = (ports, fallback, defaultSide) => {
+        if (!Array.isArray(ports)) ports = fallback;
+        return ports.map(port => {
+            const name = typeof port === 'string' ? port : (port && typeof port.name === 'string' ? port.name : null);
+            if (name !== null) {
+                sides[name] = port && primitivePortSides.includes(port.side) ? port.side : defaultSide;
+            }
+            return name;
+        }).filter(name => name !== null);
+    };
+    const size = (value, fallback) => typeof value === 'number' && value > 0 ? value : fallback;
+    const text = value => typeof value === 'string' ? value : null;
+
+    return {
+        description: text(definition.description),
+        inputs: portList(definition.inputs, ['in'], 'left'),
+        outputs: portList(definition.outputs, ['out'], 'right'),
+        sides: sides,
+        portLabels: definition.portLabels === true,
+        symbol: text(definition.symbol),
+        glyph: text(definition.glyph),
+        width: size(definition.width, defaultPrimitiveSize.width),
+        height: size(definition.height, defaultPrimitiveSize.height),
+        colorClass: typeof definition.colorClass === 'string' && /^[A-Za-z][\w-]*$/.test(definition.colorClass)
+            ? definition.colorClass
+            : null,
+        latency: isValidLatency(definition.latency) ? definition.latency : null
+    };
+}
+
+// Build a registry from the default library and a primitiveDefinitions section. An entry for
+// a library type only changes the settings it gives (e.g. {"mul": {"latency": 3}}).
+function buildPrimitiveRegistry(definitions) {
+    const registry = new Map();
+
+    for (const [type, definition] of Object.entries(defaultPrimitiveLibrary)) {
+        registry.set(type, normalizePrimitiveDefinition(definition));
+    }
+
+    for (const [type, definition] of Object.entries(definitions || {})) {
+        if (!definition || typeof definition !== 'object' || type === 'module') continue;
+        const base = defaultPrimitiveLibrary[type] || {};
+        registry.set(type, normalizePrimitiveDefinition({ ...base, ...definition }));
+    }
+
+    return registry;
+}
+
+// Register the primitive types of a diagram's primitiveDefinitions section
+function registerPrimitiveDefinitions(definitions) {
+    const registry = buildPrimitiveRegistry(definitions);
+    primitiveRegistry.clear();
+    registry.forEach((definition, type) => primitiveRegistry.set(type, definition));
+}
+
+// Definition of a primitive type, or null for a type that is not registered
+function getPrimitiveDefinition(type, registry = primitiveRegistry) {
+    return registry.get(type) || null;
+}
+
+// Input and output port names of a primitive type, or null for a type that is not registered
+function getPrimitivePorts(type, registry = primitiveRegistry) {
+    const definition = getPrimitiveDefinition(type, registry);
+    return definition ? { inputs: definition.inputs, outputs: definition.outputs } : null;
+}
+
+// Whether a bit operator has the bit positions it works on: msb and lsb (lsb <= msb) for a
+// slice, a width of at least one bit in "at" for a split or concat. Other types need none.
+function hasValidBitRange(element) {
+    const bit = value => Number.isInteger(value) && value >= 0;
+    if (element.type === 'slice') {
+        return bit(element.msb) && bit(element.lsb) && element.lsb <= element.msb;
+    }
+    if (element.type === 'split' || element.type === 'concat') {
+        return bit(element.at) && element.at >= 1;
+    }
+    return true;
+}
+
+// Whether a latency value is usable: a whole number of clock cycles, zero or more
+function isValidLatency(latency) {
+    return Number.isInteger(latency) && latency >= 0;
+}
+
+// Number of clock cycles from an element's inputs to its output.
+// 0 is combinational (same column as its latest input); 1 is the classic one
+// column per operation; larger values span several columns.
+function getElementLatency(element) {
+    if (isValidLatency(element.latency)) {
+        return element.latency;
+    }
+
+    if (element.type === 'input') {
+        return 0;
+    }
+
+    if (element.type === 'module') {
+        return getModuleLatency(element);
+    }
+
+    const definition = getPrimitiveDefinition(element.type);
+    if (definition && definition.latency !== null) {
+        return definition.latency;
+    }
+
+    return defaultPrimitiveLatency;
+}
+
+// Number of extra clock-cycle columns an element spans beyond its first
+function getSpanColumns(element) {
+    return Math.max(getElementLatency(element) - 1, 0);
+}
+
+// The library types are available before any diagram is loaded
+registerPrimitiveDefinitions({});
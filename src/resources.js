@@ -0,0 +1,278 @@
+/**
+ * SchematicViewer - Resource Report
+ * Counts the primitives of the design, per module definition and per instance, and
+ * turns the counts into area estimates with an editable cost table
+ */
+
+// Resources estimated by the report
+const resourceKinds = ['DSP', 'LUT', 'FF'];
+
+// Cost of one primitive of each type, per resource: a number, or a number followed by
+// "/bit" to scale it by the primitive's output width. "stage" is the cost of each
+// pipeline register implied by a primitive's latency.
+const resourceCostTable = {
+    mul: { DSP: '1', LUT: '0', FF: '0' },
+    add: { DSP: '0', LUT: '1/bit', FF: '0' },
+    relu2: { DSP: '1', LUT: '0', FF: '0' },
+    clamp: { DSP: '0', LUT: '2/bit', FF: '0' },
+    reg: { DSP: '0', LUT: '0', FF: '1/bit' },
+    slice: { DSP: '0', LUT: '0', FF: '0' },
+    split: { DSP: '0', LUT: '0', FF: '0' },
+    concat: { DSP: '0', LUT: '0', FF: '0' },
+    mux: { DSP: '0', LUT: '1/bit', FF: '0' },
+    divmod: { DSP: '0', LUT: '16/bit', FF: '0' },
+    stage: { DSP: '0', LUT: '0', FF: '1/bit' }
+};
+
+// Labels for the rows of the cost table
+const resourceCostLabels = {
+    stage: 'pipeline stage'
+};
+
+// Whether the report panel is open
+let resourcePanelVisible = false;
+
+// Parse a cost table entry such as "2" or "1/bit" into { amount, perBit }, or null when invalid
+function parseCostEntry(text) {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?|\.\d+)\s*(\/\s*bit)?$/);
+    if (!match) return null;
+    return { amount: parseFloat(match[1]), perBit: !!match[2] };
+}
+
+// Cost of a number of units of a cost table row at a width, per resource
+function getRowCost(row, units, width) {
+    const cost = {};
+    resourceKinds.forEach(kind => {
+        const entry = parseCostEntry((resourceCostTable[row] || {})[kind] || '0') || { amount: 0, perBit: false };
+        cost[kind] = units * entry.amount * (entry.perBit ? width : 1);
+    });
+    return cost;
+}
+
+// Width used for a primitive's per-bit costs: the inferred type of its first output, or
+// the Verilog data width
+function getResourceWidth(primitive) {
+    const ports = getPrimitivePorts(primitive.type);
+    const type = getSignalType(`${primitive.id}.${ports && ports.outputs.length ? ports.outputs[0] : 'out'}`);
+    return type ? type.width : verilogConfig.dataWidth;
+}
+
+// An empty tally: primitive counts by type, pipeline stages and cost per resource
+function createResourceTally() {
+    const cost = {};
+    resourceKinds.forEach(kind => { cost[kind] = 0; });
+    return { counts: {}, stages: 0, cost: cost };
+}
+
+// Add one tally into another
+function addResourceTally(target, source) {
+    Object.entries(source.counts).forEach(([type, count]) => {
+        target.counts[type] = (target.counts[type] || 0) + count;
+    });
+    target.stages += source.stages;
+    resourceKinds.forEach(kind => { target.cost[kind] += source.cost[kind]; });
+}
+
+// Tally the primitives in a list of elements, including everything inside their modules
+function tallyResources(elements) {
+    const tally = createResourceTally();
+    const addCost = cost => resourceKinds.forEach(kind => { tally.cost[kind] += cost[kind]; });
+
+    elements.forEach(element => {
+        if (element.type === 'module') {
+            addResourceTally(tally, tallyResources(element.components || []));
+            return;
+        }
+        if (element.type === 'input' || element.type === 'output') return;
+
+        const width = getResourceWidth(element);
+        tally.counts[element.type] = (tally.counts[element.type] || 0) + 1;
+        addCost(getRowCost(element.type, 1, width));
+
+        // Every other primitive is registered once per cycle of latency, as in the Verilog export
+        if (element.type !== 'reg') {
+            const stages = getRegisterStages(element);
+            tally.stages += stages;
+            addCost(getRowCost('stage', stages, width));
+        }
+    });
+
+    return tally;
+}
+
+// Build the report for a list of elements. Returns { design, top, definitions, instances }:
+// design covers the flattened design, top the primitives outside any module, definitions
+// one entry per module type and parameter values (its components counted once, with the
+// number of instances) and instances one per instance.
+function buildResourceReport(elements) {
+    const instances = [];
+    const collectInstances = list => list.forEach(element => {
+        if (element.type !== 'module') return;
+        instances.push({
+            id: element.id,
+            moduleType: element.moduleType ? describeModuleType(element) : '(inline)',
+            ...tallyResources(element.components || [])
+        });
+        collectInstances(element.components || []);
+    });
+    collectInstances(elements);
+
+    // Every instance of a definition has the same components, so the first one is tallied
+    const definitions = new Map();
+    instances.forEach(instance => {
+        if (!definitions.has(instance.moduleType)) {
+            const tally = createResourceTally();
+            addResourceTally(tally, instance);
+            definitions.set(instance.moduleType, { moduleType: instance.moduleType, instances: 0, ...tally });
+        }
+        definitions.get(instance.moduleType).instances++;
+    });
+
+    return {
+        design: tallyResources(elements),
+        top: tallyResources(elements.filter(element => element.type !== 'module')),
+        definitions: Array.from(definitions.values()),
+        instances: instances
+    };
+}
+
+// Primitive types that appear in a report, cost table types first
+function getReportedTypes(report) {
+    const present = Object.keys(report.design.counts);
+    const known = Object.keys(resourceCostTable).filter(type => present.includes(type));
+    return known.concat(present.filter(type => !known.includes(type)).sort());
+}
+
+// Rows of the report as { scope, name, instances, tally }, in display order
+function getReportRows(report) {
+    return [
+        { scope: 'design', name: 'Design (flattened)', instances: 1, tally: report.design },
+        { scope: 'top', name: 'Top level', instances: 1, tally: report.top },
+        ...report.definitions.map(definition => ({
+            scope: 'definition', name: definition.moduleType, instances: definition.instances, tally: definition
+        })),
+        ...report.instances.map(instance => ({
+            scope: 'instance', name: `${instance.id} (${instance.moduleType})`, instances: 1, tally: instance
+        }))
+    ];
+}
+
+// Format a cost for display, keeping fractional costs short
+function formatCost(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Report as CSV text: one row per scope with its counts and costs
+function resourceReportToCsv(report) {
+    const types = getReportedTypes(report);
+    const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+    const lines = [['scope', 'name', 'instances', ...types, 'stages', ...resourceKinds].join(',')];
+    getReportRows(report).forEach(row => {
+        lines.push([
+            row.scope,
+            quote(row.name),
+            row.instances,
+            ...types.map(type => row.tally.counts[type] || 0),
+            row.tally.stages,
+            ...resourceKinds.map(kind => row.tally.cost[kind])
+        ].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Report as JSON text, with the cost table it was computed from
+function resourceReportToJson(report) {
+    return JSON.stringify({ costs: resourceCostTable, ...report }, null, 2);
+}
+
+// Draw the cost table editor and the report into the report panel
+function renderResourceReport() {
+    const panel = d3.select('#resource-panel');
+    if (panel.empty()) return;
+
+    panel.classed('hidden', !resourcePanelVisible);
+    if (!resourcePanelVisible) return;
+
+    const report = buildResourceReport(currentElements);
+    const types = getReportedTypes(report);
+
+    // Cost table: one editable row per primitive type in the table or in the design
+    const costRows = Object.keys(resourceCostTable).filter(row => row !== 'stage')
+        .concat(types.filter(type => !resourceCostTable[type]))
+        .concat(['stage']);
+
+    const costs = panel.select('.resource-costs');
+    costs.selectAll('*').remove();
+    const costHeader = costs.append('tr');
+    costHeader.append('th').text('Cost per op');
+    resourceKinds.forEach(kind => costHeader.append('th').text(kind));
+
+    costRows.forEach(row => {
+        const tr = costs.append('tr');
+        tr.append('td').text(resourceCostLabels[row] || row);
+        resourceKinds.forEach(kind => {
+            tr.append('td').append('input')
+                .attr('type', 'text')
+                .attr('class', 'resource-cost-input')
+                .property('value', (resourceCostTable[row] || {})[kind] || '0')
+                .on('change', function() {
+                    if (!parseCostEntry(this.value)) {
+                        d3.select(this).classed('invalid', true);
+                        return;
+                    }
+                    resourceCostTable[row] = resourceCostTable[row] || { DSP: '0', LUT: '0', FF: '0' };
+                    resourceCostTable[row][kind] = this.value.trim();
+                    renderResourceReport();
+                });
+        });
+    });
+
+    // Counts and estimates per scope
+    const table = panel.select('.resource-table');
+    table.selectAll('*').remove();
+    const header = table.append('tr');
+    ['', 'instances', ...types, 'stages', ...resourceKinds].forEach(title => header.append('th').text(title));
+
+    getReportRows(report).forEach(row => {
+        const tr = table.append('tr').attr('class', `resource-row-${row.scope}`);
+        tr.append('td').text(row.name);
+        tr.append('td').text(row.scope === 'definition' ? row.instances : '');
+        types.forEach(type => tr.append('td').text(row.tally.counts[type] || 0));
+        tr.append('td').text(row.tally.stages);
+        resourceKinds.forEach(kind => tr.append('td').text(formatCost(row.tally.cost[kind])));
+    });
+}
+
+// Open or close the report panel
+function toggleResourceReport() {
+    resourcePanelVisible = !resourcePanelVisible;
+    renderResourceReport();
+}
+
+// Wire up the report button and the panel's export buttons
+function setupResourceControls() {
+    const reportButton = document.getElementById('resource-report');
+    const csvButton = document.getElementById('resource-csv');
+    const jsonButton = document.getElementById('resource-json');
+    const closeButton = document.getElementById('resource-close');
+
+    if (reportButton) reportButton.addEventListener('click', toggleResourceReport);
+    if (closeButton) closeButton.addEventListener('click', toggleResourceReport);
+
+    if (csvButton) {
+        csvButton.addEventListener('click', () => {
+            if (!currentSource) return;
+            const report = buildResourceReport(currentElements);
+            downloadFile(`${getDiagramBaseName()}_resources.csv`, resourceReportToCsv(report), 'text/csv');
+        });
+    }
+
+    if (jsonButton) {
+        jsonButton.addEventListener('click', () => {
+            if (!currentSource) return;
+            const report = buildResourceReport(currentElements);
+            downloadFile(`${getDiagramBaseName()}_resources.json`, resourceReportToJson(report), 'application/json');
+        });
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * SchematicViewer - Wire Routing
+ * Orthogonal (Manhattan) wires: each wire jogs vertically in a channel between the
+ * clock-cycle columns, goes around element bodies, is spread apart from the wires running
+ * beside it and shows a junction dot where its net branches
+ */
+
+// Wire options: the drawing style ('orthogonal', 'curved' or 'straight'), the distance
+// between wires running side by side and the clearance kept around element bodies
+const wireConfig = {
+    style: 'orthogonal',
+    trackSpacing: 6,
+    clearance: 4
+};
+
+// Junction dots of the routed wires, as { x, y }
+let wireJunctions = [];
+
+// Route the plain wires of a diagram together. Returns a Map from connection to its
+// polyline points; bus wires, feedback wires and wires to top or bottom ports keep their
+// own shapes and are left out, as are wires whose ports are not drawn.
+function routeOrthogonalWires(connections) {
+    const elements = diagram.selectAll('.primitive').data().filter(element => element.position);
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    const obstacles = elements.map(element => getWireObstacle(element));
+
+    const wires = [];
+    connections.forEach(connection => {
+        if (connection.bus || connection.backEdge) return;
+
+        const source = elementsById.get(connection.source);
+        const target = elementsById.get(connection.target);
+        const sourcePort = d3.select(`#port-${connection.source}-${connection.sourcePort}`);
+        const targetPort = d3.select(`#port-${connection.target}-${connection.targetPort}`);
+        if (!source || !target || sourcePort.empty() || targetPort.empty()) return;
+
+        const verticalSide = port => ['top', 'bottom'].includes(port.attr('data-side'));
+        if (verticalSide(sourcePort) || verticalSide(targetPort)) return;
+
+        const wire = {
+            connection: connection,
+            net: `${connection.source}.${connection.sourcePort}`,
+            start: getPortAnchor(connection.source, connection.sourcePort),
+            end: getPortAnchor(connection.target, connection.targetPort),
+            // Channel k runs down the grid line between columns k - 1 and k
+            firstChannel: source.clock_cycle + 1,
+            lastChannel: target.clock_cycle - getSpanColumns(target)
+        };
+        Object.assign(wire, planWireRoute(wire, obstacles));
+        wires.push(wire);
+    });
+
+    // Spread wires of different nets that share a channel or a lane; the wires of one
+    // net share a track, so a fan-out runs along a common trunk
+    const channelTracks = assignWireTracks(
+        wires.flatMap(wire => wire.verticals.map(vertical => ({
+            group: vertical.channel,
+            net: wire.net,
+            low: Math.min(vertical.from, vertical.to),
+            high: Math.max(vertical.from, vertical.to),
+            room: getChannelSpan(wire, vertical.channel).room,
+            segment: vertical
+        }))));
+    const laneTracks = assignWireTracks(
+        wires.filter(wire => wire.lane).map(wire => ({
+            group: wire.lane.key,
+            net: wire.net,
+            low: Math.min(wire.lane.from, wire.lane.to),
+            high: Math.max(wire.lane.from, wire.lane.to),
+            room: wire.lane.room,
+            segment: wire.lane
+        })));
+
+    const routes = new Map();
+    wires.forEach(wire => {
+        routes.set(wire.connection, buildWirePoints(wire, channelTracks, laneTracks));
+    });
+
+    wireJunctions = findWireJunctions(wires.map(wire => ({ net: wire.net, points: routes.get(wire.connection) })));
+    return routes;
+}
+
+// Body of an element as a box, widened by the clearance wires keep from it
+function getWireObstacle(element) {
+    const halfWidth = getElementWidth(element) / 2 + wireConfig.clearance;
+    const halfHeight = getElementHeight(element) / 2 + wireConfig.clearance;
+    return {
+        id: element.id,
+        left: element.position.x - halfWidth,
+        right: element.position.x + halfWidth,
+        top: element.position.y - halfHeight,
+        bottom: element.position.y + halfHeight
+    };
+}
+
+// Where a wire's vertical segment runs in a channel: { x, room }. It sits on the grid line
+// but never inside the body it leaves or enters (a module is wider than its column); room
+// is the width left around it for spreading wires apart, none where the bodies meet.
+function getChannelSpan(wire, channel) {
+    const grid = channel * gridConfig.spacing.x;
+    const half = (gridConfig.spacing.x - defaultPrimitiveSize.width) / 2;
+    const low = channel === wire.firstChannel ? Math.max(grid - half, wire.start.x + wireConfig.clearance * 2) : grid - half;
+    const high = channel === wire.lastChannel ? Math.min(grid + half, wire.end.x - wireConfig.clearance * 2) : grid + half;
+
+    if (low > high) {
+        return { x: Math.max(wire.start.x, Math.min(grid, wire.end.x)), room: 0 };
+    }
+    const x = Math.max(low, Math.min(grid, high));
+    return { x: x, room: 2 * Math.min(x - low, high - x) };
+}
+
+// Whether a horizontal or vertical segment stays clear of every body except the ones
+// listed (the bodies of the ports it starts or ends on)
+function isSegmentClear(from, to, obstacles, excluded = []) {
+    const left = Math.min(from.x, to.x);
+    const right = Math.max(from.x, to.x);
+    const top = Math.min(from.y, to.y);
+    const bottom = Math.max(from.y, to.y);
+
+    return obstacles.every(box => excluded.includes(box.id)
+        || right <= box.left || left >= box.right || bottom <= box.top || top >= box.bottom);
+}
+
+// Choose the channels (and, going around bodies, the lane) of a wire. A wire that goes
+// forward jogs in the last channel before its target that gives it a clear path; one
+// blocked in every channel, or going back to an earlier column, leaves through the channel
+// after its source, runs along the free lane nearest its ports and comes back down the
+// channel before its target. Returns { verticals, lane }.
+function planWireRoute(wire, obstacles) {
+    const { start, end, firstChannel, lastChannel } = wire;
+    const sourceId = wire.connection.source;
+    const targetId = wire.connection.target;
+
+    if (Math.abs(start.y - end.y) < 0.5 && end.x >= start.x && isSegmentClear(start, end, obstacles, [sourceId, targetId])) {
+        return { verticals: [], lane: null };
+    }
+
+    for (let channel = lastChannel; channel >= firstChannel; channel--) {
+        const x = getChannelSpan(wire, channel).x;
+        if (isSegmentClear(start, { x: x, y: start.y }, obstacles, [sourceId])
+            && isSegmentClear({ x: x, y: start.y }, { x: x, y: end.y }, obstacles)
+            && isSegmentClear({ x: x, y: end.y }, end, obstacles, [targetId])) {
+            return { verticals: [{ channel: channel, from: start.y, to: end.y }], lane: null };
+        }
+    }
+
+    // Both jogs in one channel: nothing better to do than the direct route
+    if (firstChannel === lastChannel) {
+        return { verticals: [{ channel: lastChannel, from: start.y, to: end.y }], lane: null };
+    }
+
+    const out = getChannelSpan(wire, firstChannel).x;
+    const back = getChannelSpan(wire, lastChannel).x;
+    const lane = findWireLane(out, back, start.y, end.y, obstacles);
+    return {
+        verticals: [
+            { channel: firstChannel, from: start.y, to: lane.y },
+            { channel: lastChannel, from: lane.y, to: end.y }
+        ],
+        lane: { key: lane.key, room: lane.room, from: out, to: back, y: lane.y }
+    };
+}
+
+// The horizontal lane between x1 and x2 for a wire coming from y1 and going to y2: the
+// middle of a gap between the bodies in that stretch, preferring gaps the wire can reach
+// without crossing a body and then the shortest detour. Returns { y, key, room }.
+function findWireLane(x1, x2, y1, y2, obstacles) {
+    const left = Math.min(x1, x2);
+    const right = Math.max(x1, x2);
+
+    // Bodies in the stretch, merged into blocked intervals from top to bottom
+    const blocked = [];
+    obstacles.filter(box => box.right > left && box.left < right)
+        .sort((a, b) => a.top - b.top)
+        .forEach(box => {
+            const last = blocked[blocked.length - 1];
+            if (last && box.top <= last.bottom) {
+                last.bottom = Math.max(last.bottom, box.bottom);
+            } else {
+                blocked.push({ top: box.top, bottom: box.bottom });
+            }
+        });
+
+    // Gaps between the blocked intervals, and room above and below all of them
+    const spacing = gridConfig.spacing.y / 2;
+    const lanes = [];
+    if (blocked.length === 0) {
+        lanes.push({ y: (y1 + y2) / 2, key: 'open', room: Infinity });
+    } else {
+        lanes.push({ y: blocked[0].top - spacing / 2, key: `above:${Math.round(blocked[0].top)}`, room: spacing });
+        for (let index = 1; index < blocked.length; index++) {
+            const top = blocked[index - 1].bottom;
+            const bottom = blocked[index].top;
+            lanes.push({ y: (top + bottom) / 2, key: `${Math.round(top)}:${Math.round(bottom)}`, room: bottom - top });
+        }
+        const lowest = blocked[blocked.length - 1].bottom;
+        lanes.push({ y: lowest + spacing / 2, key: `below:${Math.round(lowest)}`, room: spacing });
+    }
+
+    const detour = lane => Math.abs(lane.y - y1) + Math.abs(lane.y - y2);
+    const reachable = lane => isSegmentClear({ x: x1, y: y1 }, { x: x1, y: lane.y }, obstacles)
+        && isSegmentClear({ x: x2, y: lane.y }, { x: x2, y: y2 }, obstacles);
+
+    lanes.sort((a, b) => (reachable(b) - reachable(a)) || (detour(a) - detour(b)));
+    return lanes[0];
+}
+
+// Give each segment a track within its group (a channel or a lane). Segments of one net
+// are merged into a single span; spans of different nets that overlap get different
+// tracks, spaced so they fit the room of the group. Returns a Map from segment to its offset.
+function assignWireTracks(items) {
+    const offsets = new Map();
+    const groups = new Map();
+    items.forEach(item => {
+        if (!groups.has(item.group)) groups.set(item.group, new Map());
+        const nets = groups.get(item.group);
+        const span = nets.get(item.net);
+        if (span) {
+            span.low = Math.min(span.low, item.low);
+            span.high = Math.max(span.high, item.high);
+            span.segments.push(item.segment);
+            span.room = Math.min(span.room, item.room);
+        } else {
+            nets.set(item.net, { low: item.low, high: item.high, room: item.room, segments: [item.segment] });
+        }
+    });
+
+    groups.forEach(nets => {
+        const spans = Array.from(nets.values()).sort((a, b) => a.low - b.low);
+        const trackEnds = [];
+        spans.forEach(span => {
+            let track = trackEnds.findIndex(end => end + wireConfig.trackSpacing <= span.low);
+            if (track < 0) {
+                track = trackEnds.length;
+                trackEnds.push(span.high);
+            } else {
+                trackEnds[track] = span.high;
+            }
+            span.track = track;
+        });
+
+        const count = trackEnds.length;
+        const room = Math.min(...spans.map(span => span.room));
+        const spacing = Math.min(wireConfig.trackSpacing, room / (count + 1));
+        spans.forEach(span => {
+            const offset = (span.track - (count - 1) / 2) * spacing;
+            span.segments.forEach(segment => offsets.set(segment, offset));
+        });
+    });
+
+    return offsets;
+}
+
+// Polyline of a routed wire: along its port rows and lane, jogging at its tracks
+function buildWirePoints(wire, channelTracks, laneTracks) {
+    const { start, end } = wire;
+    const xOf = vertical => getChannelSpan(wire, vertical.channel).x + (channelTracks.get(vertical) || 0);
+
+    const points = [start];
+    if (wire.verticals.length === 1) {
+        const x = xOf(wire.verticals[0]);
+        points.push({ x: x, y: start.y }, { x: x, y: end.y });
+    } else if (wire.verticals.length === 2) {
+        const out = xOf(wire.verticals[0]);
+        const back = xOf(wire.verticals[1]);
+        const y = wire.lane.y + (laneTracks.get(wire.lane) || 0);
+        points.push({ x: out, y: start.y }, { x: out, y: y }, { x: back, y: y }, { x: back, y: end.y });
+    }
+    points.push(end);
+
+    // Drop repeated points (a jog of zero length)
+    return points.filter((point, index) => index === 0
+        || Math.abs(point.x - points[index - 1].x) > 0.01 || Math.abs(point.y - points[index - 1].y) > 0.01);
+}
+
+// Points where the wires of a net part: for every two wires from the same port, the end
+// of the stretch they run along together
+function findWireJunctions(routes) {
+    const nets = new Map();
+    routes.forEach(route => {
+        if (!nets.has(route.net)) nets.set(route.net, []);
+        nets.get(route.net).push(route.points);
+    });
+
+    const junctions = new Map();
+    nets.forEach(paths => {
+        for (let i = 0; i < paths.length; i++) {
+            for (let j = i + 1; j < paths.length; j++) {
+                const point = findDivergencePoint(paths[i], paths[j]);
+                if (point) {
+                    junctions.set(`${Math.round(point.x)},${Math.round(point.y)}`, point);
+                }
+            }
+        }
+    });
+    return Array.from(junctions.values());
+}
+
+// Where two axis-aligned polylines from the same start go separate ways, or null when
+// they part at the start itself or one ends on the other
+function findDivergencePoint(a, b) {
+    const direction = (from, to) => ({ x: Math.sign(to.x - from.x), y: Math.sign(to.y - from.y) });
+    const distance = (from, to) => Math.abs(to.x - from.x) + Math.abs(to.y - from.y);
+
+    let point = { x: a[0].x, y: a[0].y };
+    let nextA = 1;
+    let nextB = 1;
+    while (nextA < a.length && nextB < b.length) {
+        const toA = distance(point, a[nextA]);
+        const toB = distance(point, b[nextB]);
+        if (toA < 0.01) { nextA++; continue; }
+        if (toB < 0.01) { nextB++; continue; }
+
+        const directionA = direction(point, a[nextA]);
+        const directionB = direction(point, b[nextB]);
+        if (directionA.x !== directionB.x || directionA.y !== directionB.y) {
+            return distance(point, a[0]) < 0.01 ? null : point;
+        }
+
+        const step = Math.min(toA, toB);
+        point = { x: point.x + directionA.x * step, y: point.y + directionA.y * step };
+    }
+    return null;
+}
+
+// Draw a dot at every junction of the routed wires
+function renderWireJunctions() {
+    diagram.selectAll('.wire-junctions').remove();
+    if (wireConfig.style !== 'orthogonal' || wireJunctions.length === 0) return;
+
+    diagram.append('g')
+        .attr('class', 'wire-junctions')
+        .selectAll('circle')
+        .data(wireJunctions)
+        .enter()
+        .append('circle')
+        .attr('class', 'wire-junction')
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', 3);
+}
+
+// Wire up the wire style selector in the controls panel
+function setupWireControls() {
+    const wireStyle = document.getElementById('wire-style');
+    if (!wireStyle) return;
+
+    wireStyle.value = wireConfig.style;
+    wireStyle.addEventListener('change', () => {
+        wireConfig.style = wireStyle.value;
+        if (currentElements.length > 0) {
+            renderCurrentDiagram();
+        }
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * SchematicViewer - Search
+ * Finds elements by ID, label, type or module type anywhere in the hierarchy and
+ * jumps to them, expanding the modules they sit in
+ */
+
+// Longest result list shown
+const searchConfig = {
+    maxResults: 50
+};
+
+// Modules enclosing an element, outermost first
+function getEnclosingModules(element) {
+    const modules = [];
+    let parent = element.parentModule ? findElementById(element.parentModule) : null;
+    while (parent) {
+        modules.unshift(parent);
+        parent = parent.parentModule ? findElementById(parent.parentModule) : null;
+    }
+    return modules;
+}
+
+// Find the elements matching a query (case-insensitive) in the loaded diagram, including
+// module components, plus the components of module definitions that have no instance.
+// Returns { element, path, definition } results; definition results cannot be jumped to.
+function searchElements(query) {
+    const text = query.trim().toLowerCase();
+    if (!text) return [];
+
+    const matches = item => [item.id, item.localId, item.label, item.type, item.moduleType]
+        .some(value => typeof value === 'string' && value.toLowerCase().includes(text));
+
+    const results = [];
+    const visit = list => list.forEach(element => {
+        if (matches(element)) {
+            const path = getEnclosingModules(element).map(module => module.id).concat(element.localId || element.id);
+            results.push({ element: element, path: path, definition: null });
+        }
+        if (element.type === 'module') {
+            visit(element.components || []);
+        }
+    });
+    visit(currentElements);
+
+    // Definitions are only searched directly when nothing instantiates them
+    const instantiated = new Set();
+    const collectTypes = list => list.forEach(element => {
+        if (element.type !== 'module') return;
+        instantiated.add(element.moduleType);
+        collectTypes(element.components || []);
+    });
+    collectTypes(currentElements);
+
+    moduleRegistry.forEach((definition, moduleType) => {
+        if (instantiated.has(moduleType)) return;
+        definition.components.filter(matches).forEach(component => {
+            results.push({ element: component, path: [moduleType, component.id], definition: moduleType });
+        });
+    });
+
+    return results.slice(0, searchConfig.maxResults);
+}
+
+// Expand every module around an element, then pan and zoom to it. A drilled-into
+// module that does not contain the element is left for the top level first.
+function jumpToElement(element) {
+    const enclosing = getEnclosingModules(element);
+    if (drillPath.some((id, index) => !enclosing[index] || enclosing[index].id !== id)) {
+        showLevel([]);
+    }
+
+    const collapsed = enclosing.slice(drillPath.length).filter(module => !expandedModules.has(module.id));
+
+    if (collapsed.length > 0) {
+        collapsed.forEach(module => expandedModules.add(module.id));
+        renderCurrentDiagram();
+    }
+
+    focusElement(element.id);
+}
+
+// Show the results for the text in the search box
+function renderSearchResults() {
+    const input = document.getElementById('search-input');
+    const list = d3.select('#search-results');
+    if (!input || list.empty()) return;
+
+    list.selectAll('*').remove();
+    const results = searchElements(input.value);
+    list.classed('hidden', input.value.trim() === '');
+
+    if (input.value.trim() && results.length === 0) {
+        list.append('li').attr('class', 'search-empty').text('No matching elements');
+        return;
+    }
+
+    const items = list.selectAll('.search-result')
+        .data(results)
+        .enter()
+        .append('li')
+        .attr('class', 'search-result')
+        .classed('navigable', d => !d.definition)
+        .on('click', (event, d) => {
+            if (!d.definition) {
+                jumpToElement(d.element);
+            }
+        });
+
+    items.append('span')
+        .attr('class', 'search-result-path')
+        .text(d => d.path.join(' › '));
+
+    items.append('span')
+        .attr('class', 'search-result-type')
+        .text(d => {
+            const type = d.element.type === 'module' ? `module ${d.element.moduleType || ''}`.trim() : d.element.type;
+            return d.definition ? `${type} (definition only)` : type;
+        });
+}
+
+// Wire up the search box: results update as you type, Enter jumps to the first one
+// and Escape clears the search
+function setupSearchControls() {
+    const input = document.getElementById('search-input');
+    if (!input) return;
+
+    input.addEventListener('input', renderSearchResults);
+
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+            const first = searchElements(input.value).find(result => !result.definition);
+            if (first) {
+                jumpToElement(first.element);
+            }
+        } else if (event.key === 'Escape') {
+            input.value = '';
+            renderSearchResults();
+        }
+    });
+}
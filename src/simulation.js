@@ -0,0 +1,449 @@
+/**
+ * SchematicViewer - Simulation
+ * Cycle-accurate evaluation of the netlist, with the current value of every signal
+ * drawn next to the output port that drives it
+ */
+
+// Simulation options and the stimulus typed for each input element (by element ID)
+const simulationConfig = {
+    enabled: false,
+    fractionalBits: 0, // Fixed-point format: values are integers scaled by 2^fractionalBits
+    runInterval: 500   // Milliseconds per cycle while running
+};
+const simulationStimulus = new Map();
+
+// Current simulation state and the timer driving "Run"
+let simulation = null;
+let simulationTimer = null;
+
+// Build a simulation of a list of elements with every module flattened into its primitives.
+// Each primitive with a latency of N cycles holds an N-stage pipeline of output values.
+function createSimulation(elements) {
+    const primitivesById = new Map();
+    const modulesById = new Map();
+
+    const collect = list => list.forEach(element => {
+        if (element.type === 'module') {
+            modulesById.set(element.id, element);
+            collect(element.components || []);
+        } else {
+            primitivesById.set(element.id, element);
+        }
+    });
+    collect(elements);
+
+    const pipelines = new Map();
+    primitivesById.forEach(primitive => {
+        const latency = getSimulationLatency(primitive);
+        if (latency > 0) {
+            pipelines.set(primitive.id, new Array(latency).fill(0));
+        }
+    });
+
+    return {
+        elements: elements,
+        primitivesById: primitivesById,
+        modulesById: modulesById,
+        pipelines: pipelines,
+        cycle: 0,
+        values: new Map(),       // Output values of the current cycle, filled on demand
+        evaluating: new Set(),   // Guards against combinational loops
+        stimulus: new Map()      // Parsed stimulus per input element
+    };
+}
+
+// Number of clock cycles a primitive delays its result; inputs and outputs pass straight through
+function getSimulationLatency(primitive) {
+    if (primitive.type === 'input' || primitive.type === 'output') return 0;
+    return getElementLatency(primitive);
+}
+
+// Parse stimulus text: a single number is held constant, a comma-separated list gives
+// one value per cycle (and 0 once the list runs out). Returns { values, constant, error }
+// with values scaled to integers in the fixed-point format.
+function parseStimulus(text, fractionalBits) {
+    const parts = String(text).split(',').map(part => part.trim()).filter(part => part !== '');
+    if (parts.length === 0) {
+        return { values: [0], constant: true, error: null };
+    }
+
+    const values = [];
+    for (const part of parts) {
+        const number = Number(part);
+        if (!Number.isFinite(number)) {
+            return { values: [0], constant: true, error: `"${part}" is not a number` };
+        }
+        values.push(Math.round(number * 2 ** fractionalBits));
+    }
+
+    return { values: values, constant: values.length === 1, error: null };
+}
+
+// Value applied to an input element in the current cycle
+function getStimulusValue(sim, inputId) {
+    if (!sim.stimulus.has(inputId)) {
+        const parsed = parseStimulus(simulationStimulus.get(inputId) || '0', simulationConfig.fractionalBits);
+        if (parsed.error) {
+            addRuntimeDiagnostic('error', `Invalid stimulus for ${inputId}: ${parsed.error}`, inputId, 'simulation');
+        }
+        sim.stimulus.set(inputId, parsed);
+    }
+
+    const stimulus = sim.stimulus.get(inputId);
+    if (stimulus.constant) {
+        return stimulus.values[0];
+    }
+    return sim.cycle < stimulus.values.length ? stimulus.values[sim.cycle] : 0;
+}
+
+// Value of a connection such as "mul1.out" in the current cycle. A module output is
+// followed to the component driving it; a vector output gives an array of lane values.
+// Returns null when the value cannot be determined.
+function evaluateReference(sim, reference) {
+    if (typeof reference !== 'string') return null;
+
+    const [sourceId, sourcePort] = reference.split('.');
+
+    if (sim.modulesById.has(sourceId)) {
+        const mapping = (sim.modulesById.get(sourceId).outputs || {})[sourcePort];
+        if (Array.isArray(mapping)) {
+            return mapping.map(lane => evaluateReference(sim, lane));
+        }
+        return evaluateReference(sim, mapping);
+    }
+
+    const primitive = sim.primitivesById.get(sourceId);
+    return primitive ? getPrimitiveOutput(sim, primitive, sourcePort) : null;
+}
+
+// Value of a primitive output port in the current cycle. Primitives with several outputs
+// compute an object of values keyed by port name, and the port picks one of them.
+function getPrimitiveOutput(sim, primitive, port) {
+    return selectOutputPort(getPrimitiveResult(sim, primitive), port);
+}
+
+// Pick one port's value out of a primitive result
+function selectOutputPort(result, port) {
+    if (result === null || typeof result !== 'object' || Array.isArray(result)) {
+        return result;
+    }
+    return port in result ? result[port] : null;
+}
+
+// Result of a primitive in the current cycle, from its pipeline or computed on demand
+function getPrimitiveResult(sim, primitive) {
+    if (sim.pipelines.has(primitive.id)) {
+        const pipeline = sim.pipelines.get(primitive.id);
+        return pipeline[pipeline.length - 1];
+    }
+
+    if (sim.values.has(primitive.id)) {
+        return sim.values.get(primitive.id);
+    }
+
+    // A combinational loop has no defined value
+    if (sim.evaluating.has(primitive.id)) return null;
+
+    sim.evaluating.add(primitive.id);
+    const value = computePrimitive(sim, primitive);
+    sim.evaluating.delete(primitive.id);
+
+    sim.values.set(primitive.id, value);
+    return value;
+}
+
+// Bits lsb upwards of an integer, count bits wide, as an unsigned value. Negative values
+// are taken in two's complement.
+function extractBits(value, lsb, count) {
+    const modulus = 2 ** count;
+    const shifted = Math.floor(value / 2 ** lsb);
+    return ((shifted % modulus) + modulus) % modulus;
+}
+
+// Apply a primitive's operation to the current values of its inputs
+function computePrimitive(sim, primitive) {
+    const scale = 2 ** simulationConfig.fractionalBits;
+    const input = port => {
+        const value = evaluateReference(sim, primitive.inputs ? primitive.inputs[port] : undefined);
+        return typeof value === 'number' ? value : null;
+    };
+
+    // A bit operator without valid bit positions (reported by the diagnostics) has no value
+    if (!hasValidBitRange(primitive)) return null;
+
+    switch (primitive.type) {
+        case 'input':
+            return getStimulusValue(sim, primitive.id);
+
+        case 'output':
+        case 'reg':
+            return input('in');
+
+        case 'add': {
+            const a = input('in1');
+            const b = input('in2');
+            return a === null || b === null ? null : a + b;
+        }
+
+        case 'mul': {
+            const a = input('in1');
+            const b = input('in2');
+            return a === null || b === null ? null : Math.floor(a * b / scale);
+        }
+
+        case 'relu2': {
+            const a = input('in');
+            if (a === null) return null;
+            return a > 0 ? Math.floor(a * a / scale) : 0;
+        }
+
+        case 'clamp': {
+            const a = input('in');
+            if (a === null) return null;
+            // Bounds are given in real units; without them the value passes through
+            const low = Number.isFinite(primitive.min) ? Math.round(primitive.min * scale) : -Infinity;
+            const high = Number.isFinite(primitive.max) ? Math.round(primitive.max * scale) : Infinity;
+            return Math.min(Math.max(a, low), high);
+        }
+
+        // Bit operators work on the raw fixed-point integers, as the hardware does
+        case 'slice': {
+            const a = input('in');
+            return a === null ? null : extractBits(a, primitive.lsb, primitive.msb - primitive.lsb + 1);
+        }
+
+        case 'split': {
+            const a = input('in');
+            if (a === null) return { hi: null, lo: null };
+            return { hi: Math.floor(a / 2 ** primitive.at), lo: extractBits(a, 0, primitive.at) };
+        }
+
+        case 'concat': {
+            const hi = input('hi');
+            const lo = input('lo');
+            return hi === null || lo === null ? null : hi * 2 ** primitive.at + extractBits(lo, 0, primitive.at);
+        }
+
+        case 'mux': {
+            const sel = input('sel');
+            if (sel === null) return null;
+            return sel !== 0 ? input('in1') : input('in0');
+        }
+
+        case 'divmod': {
+            // The quotient is rounded toward zero to a whole number; a = quot * b + rem
+            const a = input('in1');
+            const b = input('in2');
+            if (a === null || b === null || b === 0) return { quot: null, rem: null };
+            const quotient = Math.trunc(a / b);
+            return { quot: quotient * scale, rem: a - quotient * b };
+        }
+
+        default:
+            addRuntimeDiagnostic('warning', `Primitive type "${primitive.type}" cannot be simulated; ${primitive.id} has no value`, primitive.id, 'simulation');
+            return null;
+    }
+}
+
+// Advance one clock cycle: every pipelined primitive takes in the result computed
+// from this cycle's values, then the inputs move on to the next cycle's stimulus
+function stepSimulation(sim) {
+    const results = new Map();
+    sim.pipelines.forEach((pipeline, id) => {
+        results.set(id, computePrimitive(sim, sim.primitivesById.get(id)));
+    });
+
+    sim.pipelines.forEach((pipeline, id) => {
+        pipeline.pop();
+        pipeline.unshift(results.get(id));
+    });
+
+    sim.cycle++;
+    sim.values.clear();
+}
+
+// Text shown for a value: fixed-point values in real units, lanes of a vector in brackets
+function formatSimulationValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatSimulationValue).join(', ')}]`;
+    }
+    if (typeof value !== 'number') {
+        return '?';
+    }
+
+    const real = value / 2 ** simulationConfig.fractionalBits;
+    return Number.isInteger(real) ? String(real) : String(+real.toFixed(4));
+}
+
+// Draw the current value next to every driving output port and beside every output element
+function renderSimulationValues() {
+    diagram.selectAll('.simulation-values').remove();
+    updateSimulationStatus();
+
+    if (!simulationConfig.enabled || currentElements.length === 0) return;
+
+    // The netlist changed (new file, inserted registers): start over
+    if (!simulation || simulation.elements !== currentElements) {
+        simulation = createSimulation(currentElements);
+        renderSimulationInputs();
+    }
+
+    const layer = diagram.append('g').attr('class', 'simulation-values');
+
+    drawPortValueLabels(layer, 'simulation-value',
+        key => formatSimulationValue(evaluateReference(simulation, resolveBoundaryReference(key))));
+
+    // Output elements show the value they receive
+    diagram.selectAll('.primitive-output').each(d => {
+        const value = getPrimitiveOutput(simulation, simulation.primitivesById.get(d.id) || d);
+        layer.append('text')
+            .attr('class', 'simulation-value simulation-output-value')
+            .attr('x', d.position.x + getElementWidth(d) / 2 + 6)
+            .attr('y', d.position.y)
+            .attr('dominant-baseline', 'middle')
+            .text(`= ${formatSimulationValue(value)}`);
+    });
+}
+
+// Label every driving output port with a value, once however many wires leave it.
+// textOf receives the port as "elementId.port" and returns the text, or null to skip it;
+// offsetY places the label above (negative) or below the wire. Each label is bound to its port.
+function drawPortValueLabels(layer, className, textOf, offsetY = -6) {
+    const labelled = new Set();
+    diagram.selectAll('.connection').data().forEach(connection => {
+        const sources = connection.bus && connection.lanes ? connection.lanes : [connection];
+        sources.forEach(source => {
+            const key = `${source.source}.${source.sourcePort}`;
+            if (labelled.has(key)) return;
+            labelled.add(key);
+
+            const anchor = getPortAnchor(source.source, source.sourcePort);
+            const text = anchor ? textOf(key) : null;
+            if (text === null) return;
+
+            layer.append('text')
+                .datum(key)
+                .attr('class', className)
+                .attr('x', anchor.x + 7)
+                .attr('y', anchor.y + offsetY)
+                .text(text);
+        });
+    });
+}
+
+// Position of a port in diagram coordinates, or null when it is not drawn
+function getPortAnchor(elementId, portKey) {
+    const element = d3.select(`#primitive-${elementId}`);
+    const port = d3.select(`#port-${elementId}-${portKey}`);
+    if (element.empty() || port.empty()) return null;
+
+    const position = element.datum().position;
+    return { x: position.x + +port.attr('cx'), y: position.y + +port.attr('cy') };
+}
+
+// Show the current cycle in the controls panel
+function updateSimulationStatus() {
+    const status = document.getElementById('sim-cycle');
+    if (status) {
+        status.textContent = simulation && simulationConfig.enabled ? `Cycle ${simulation.cycle}` : '';
+    }
+}
+
+// One stimulus field per input element of the loaded diagram
+function renderSimulationInputs() {
+    const container = document.getElementById('sim-inputs');
+    if (!container) return;
+
+    container.innerHTML = '';
+    currentElements.filter(element => element.type === 'input').forEach(element => {
+        const label = document.createElement('label');
+        label.style.fontWeight = 'normal';
+        label.textContent = `${element.label || element.id}: `;
+
+        const field = document.createElement('input');
+        field.type = 'text';
+        field.size = 8;
+        field.value = simulationStimulus.get(element.id) || '0';
+        field.title = 'A constant (e.g. 3 or 1.5) or one value per cycle (e.g. 1, 2, 3)';
+        field.addEventListener('change', () => {
+            simulationStimulus.set(element.id, field.value);
+            // Re-read the stimulus from the current cycle on
+            if (simulation) {
+                simulation.stimulus.delete(element.id);
+                simulation.values.clear();
+            }
+            renderSimulationValues();
+        });
+
+        label.appendChild(field);
+        container.appendChild(label);
+    });
+}
+
+// Return to cycle 0 with every register cleared
+function resetSimulation() {
+    stopSimulationRun();
+    simulation = null;
+    renderSimulationValues();
+}
+
+// Advance one cycle and redraw the values
+function stepSimulationOnce() {
+    if (!simulationConfig.enabled || !simulation) return;
+    stepSimulation(simulation);
+    renderSimulationValues();
+}
+
+// Start or pause stepping on a timer
+function toggleSimulationRun() {
+    if (simulationTimer) {
+        stopSimulationRun();
+        return;
+    }
+    if (!simulationConfig.enabled) return;
+
+    simulationTimer = setInterval(stepSimulationOnce, simulationConfig.runInterval);
+    const runButton = document.getElementById('sim-run');
+    if (runButton) runButton.textContent = 'Pause';
+}
+
+// Stop the run timer
+function stopSimulationRun() {
+    if (simulationTimer) {
+        clearInterval(simulationTimer);
+        simulationTimer = null;
+    }
+    const runButton = document.getElementById('sim-run');
+    if (runButton) runButton.textContent = 'Run';
+}
+
+// Wire up the simulation controls in the controls panel
+function setupSimulationControls() {
+    const toggle = document.getElementById('sim-toggle');
+    const fraction = document.getElementById('sim-fraction');
+    const step = document.getElementById('sim-step');
+    const run = document.getElementById('sim-run');
+    const reset = document.getElementById('sim-reset');
+
+    if (toggle) {
+        toggle.addEventListener('change', () => {
+            simulationConfig.enabled = toggle.checked;
+            if (!toggle.checked) stopSimulationRun();
+            renderSimulationValues();
+        });
+    }
+
+    if (fraction) {
+        fraction.addEventListener('change', () => {
+            const value = parseInt(fraction.value, 10);
+            simulationConfig.fractionalBits = value >= 0 ? value : 0;
+            fraction.value = simulationConfig.fractionalBits;
+            // Register contents are scaled integers, so a new format starts over
+            resetSimulation();
+        });
+    }
+
+    if (step) step.addEventListener('click', stepSimulationOnce);
+    if (run) run.addEventListener('click', toggleSimulationRun);
+    if (reset) reset.addEventListener('click', resetSimulation);
+}
@@ -0,0 +1,243 @@
+/**
+ * SchematicViewer - Critical Path Analysis
+ * Static timing of the flattened netlist: the longest combinational paths between
+ * registers, inputs and outputs, listed in a panel and highlighted on the canvas
+ */
+
+// Analysis options: the logic delay of each primitive type (in ns) and how many paths to list
+const criticalPathConfig = {
+    enabled: false,
+    count: 5,
+    delays: { add: 1, mul: 3, relu2: 3, clamp: 0.5, reg: 0, slice: 0, split: 0, concat: 0, mux: 0.5, divmod: 8 },
+    defaultDelay: 1
+};
+
+// Paths found for the rendered diagram, worst first, and the one highlighted
+let criticalPaths = [];
+let selectedCriticalPath = 0;
+
+// Logic delay of a primitive; inputs and outputs add none
+function getPrimitiveDelay(primitive) {
+    if (primitive.type === 'input' || primitive.type === 'output') return 0;
+    const delay = criticalPathConfig.delays[primitive.type];
+    return delay !== undefined ? delay : criticalPathConfig.defaultDelay;
+}
+
+// Parse delay settings such as "mul=3, add=1.2" into an object keyed by primitive type.
+// Returns { delays, error }.
+function parseDelays(text) {
+    const delays = {};
+    for (const part of text.split(',').map(item => item.trim()).filter(item => item)) {
+        const match = part.match(/^([A-Za-z_][\w-]*)\s*=\s*(\d+(?:\.\d+)?|\.\d+)$/);
+        if (!match) {
+            return { delays: null, error: `"${part}" is not of the form type=delay` };
+        }
+        delays[match[1]] = parseFloat(match[2]);
+    }
+    return { delays: delays, error: null };
+}
+
+// Delay settings as text for the controls panel
+function formatDelays(delays) {
+    return Object.entries(delays).map(([type, delay]) => `${type}=${delay}`).join(', ');
+}
+
+// Find the worst combinational path into each timing endpoint of a list of elements, with
+// every module flattened. A path starts at an input or a registered primitive's output, runs
+// through latency-0 primitives and ends at a registered primitive (whose logic sits in front
+// of its flip-flops) or an output. A primitive with a latency of N cycles spreads its delay
+// evenly over its N stages. Returns up to count { delay, steps } paths, worst first, where
+// steps lists the primitive IDs from the startpoint to the endpoint.
+function findCriticalPaths(elements, count) {
+    const primitivesById = new Map();
+    const modulesById = new Map();
+    const collect = list => list.forEach(element => {
+        if (element.type === 'module') {
+            modulesById.set(element.id, element);
+            collect(element.components || []);
+        } else {
+            primitivesById.set(element.id, element);
+        }
+    });
+    collect(elements);
+
+    // Primitives driving a connection, following module outputs to their internal drivers
+    const driversOf = reference => {
+        if (typeof reference !== 'string') return [];
+        const [sourceId, sourcePort] = reference.split('.');
+
+        if (modulesById.has(sourceId)) {
+            const mapping = (modulesById.get(sourceId).outputs || {})[sourcePort];
+            return (Array.isArray(mapping) ? mapping : [mapping]).flatMap(driversOf);
+        }
+        return primitivesById.has(sourceId) ? [sourceId] : [];
+    };
+
+    const isStartpoint = primitive => primitive.type === 'input' || getRegisterStages(primitive) > 0;
+
+    // Latest arrival at the end of a primitive's logic, with the driver it came through
+    const arrivals = new Map();
+    const visiting = new Set();
+    const arrival = primitive => {
+        if (arrivals.has(primitive.id)) return arrivals.get(primitive.id);
+        // Combinational loops are reported elsewhere; they add nothing here
+        if (visiting.has(primitive.id)) return { time: 0, from: null };
+
+        visiting.add(primitive.id);
+        let worst = { time: 0, from: null };
+        getInputConnections(primitive).forEach(input => {
+            driversOf(`${input.sourceId}.${input.sourcePort}`).forEach(driverId => {
+                const driver = primitivesById.get(driverId);
+                const time = isStartpoint(driver) ? 0 : arrival(driver).time;
+                if (worst.from === null || time > worst.time) {
+                    worst = { time: time, from: driverId };
+                }
+            });
+        });
+        visiting.delete(primitive.id);
+
+        const stages = Math.max(getRegisterStages(primitive), 1);
+        const result = { time: worst.time + getPrimitiveDelay(primitive) / stages, from: worst.from };
+        arrivals.set(primitive.id, result);
+        return result;
+    };
+
+    const paths = [];
+    primitivesById.forEach(primitive => {
+        if (primitive.type === 'input' || !(primitive.type === 'output' || getRegisterStages(primitive) > 0)) return;
+
+        const end = arrival(primitive);
+        const steps = [primitive.id];
+        let from = end.from;
+        while (from !== null && !steps.includes(from)) {
+            steps.unshift(from);
+            const driver = primitivesById.get(from);
+            from = isStartpoint(driver) ? null : arrival(driver).from;
+        }
+        paths.push({ delay: end.time, steps: steps });
+    });
+
+    return paths.sort((a, b) => b.delay - a.delay).slice(0, count);
+}
+
+// Delay for display, e.g. "3.5 ns"
+function formatDelay(delay) {
+    return `${parseFloat(delay.toFixed(3))} ns`;
+}
+
+// Element drawn for a primitive: itself, or the collapsed module it is hidden in
+function getVisibleElementId(elementId) {
+    const visible = new Set(currentLayoutElements.map(element => element.id));
+    let element = findElementById(elementId);
+    while (element && !visible.has(element.id) && element.parentModule) {
+        element = findElementById(element.parentModule);
+    }
+    return element ? element.id : elementId;
+}
+
+// Mark the elements and wires along a path
+function highlightCriticalPath(path) {
+    diagram.selectAll('.critical-path').classed('critical-path', false);
+    if (!path) return;
+
+    const visible = path.steps.map(getVisibleElementId);
+    const wires = new Set();
+    visible.forEach((id, index) => {
+        diagram.select(`#primitive-${id}`).classed('critical-path', true);
+        if (index > 0 && visible[index - 1] !== id) {
+            wires.add(feedbackEdgeKey(visible[index - 1], id));
+        }
+    });
+
+    diagram.selectAll('.connection')
+        .filter(d => connectionSources(d).some(sourceId => wires.has(feedbackEdgeKey(sourceId, d.target))))
+        .classed('critical-path', true);
+}
+
+// Analyse the rendered diagram, list the worst paths and highlight the selected one
+function renderCriticalPaths() {
+    const panel = d3.select('#timing-panel');
+    if (panel.empty()) return;
+
+    panel.classed('hidden', !criticalPathConfig.enabled);
+    if (!criticalPathConfig.enabled) {
+        criticalPaths = [];
+        return;
+    }
+
+    criticalPaths = findCriticalPaths(currentElements, criticalPathConfig.count);
+    selectedCriticalPath = Math.min(selectedCriticalPath, Math.max(criticalPaths.length - 1, 0));
+
+    panel.select('.timing-summary').text(criticalPaths.length > 0
+        ? `Critical path: ${formatDelay(criticalPaths[0].delay)}`
+        : 'Critical path: none');
+
+    const list = panel.select('.timing-list');
+    list.selectAll('*').remove();
+
+    const items = list.selectAll('.timing-path')
+        .data(criticalPaths)
+        .enter()
+        .append('li')
+        .attr('class', 'timing-path')
+        .classed('selected', (d, i) => i === selectedCriticalPath)
+        .on('click', (event, d) => {
+            selectedCriticalPath = criticalPaths.indexOf(d);
+            list.selectAll('.timing-path').classed('selected', (p, i) => i === selectedCriticalPath);
+            highlightCriticalPath(d);
+        });
+
+    items.append('span')
+        .attr('class', 'timing-delay')
+        .text(d => formatDelay(d.delay));
+
+    items.append('span')
+        .attr('class', 'timing-steps')
+        .text(d => d.steps.join(' → '));
+
+    highlightCriticalPath(criticalPaths[selectedCriticalPath]);
+}
+
+// Wire up the critical path options in the controls panel
+function setupTimingControls() {
+    const toggle = document.getElementById('critical-toggle');
+    const count = document.getElementById('critical-count');
+    const delays = document.getElementById('critical-delays');
+
+    if (toggle) {
+        criticalPathConfig.enabled = toggle.checked;
+        toggle.addEventListener('change', () => {
+            criticalPathConfig.enabled = toggle.checked;
+            selectedCriticalPath = 0;
+            renderCriticalPaths();
+            if (!criticalPathConfig.enabled) {
+                highlightCriticalPath(null);
+            }
+        });
+    }
+
+    if (count) {
+        count.addEventListener('change', () => {
+            const value = parseInt(count.value, 10);
+            if (Number.isInteger(value) && value > 0) {
+                criticalPathConfig.count = value;
+                renderCriticalPaths();
+            } else {
+                count.value = criticalPathConfig.count;
+            }
+        });
+    }
+
+    if (delays) {
+        delays.value = formatDelays(criticalPathConfig.delays);
+        delays.addEventListener('change', () => {
+            const result = parseDelays(delays.value);
+            if (result.error) {
+                addRuntimeDiagnostic('error', `Invalid delays: ${result.error}`, null, 'critical path');
+                return;
+            }
+            criticalPathConfig.delays = result.delays;
+            renderCriticalPaths();
+        });
+    }
+}
@@ -0,0 +1,486 @@
+/**
+ * SchematicViewer - VCD Waveforms
+ * Loads value change dumps from an RTL simulation, maps their signals to element
+ * ports and shows the recorded values on the wires and in a waveform strip
+ */
+
+// Loaded dump, the timestamp being shown (an index into its times) and the explicit
+// mapping from "elementId.port" to a hierarchical signal name
+const vcdState = {
+    data: null,
+    fileName: '',
+    timeIndex: 0,
+    mapping: new Map(),
+    signalCache: new Map(),
+    elements: null
+};
+
+// Parse the text of a VCD file. Returns { timescale, signals, changes, times, endTime }:
+// signals lists { code, name, scope, fullName, width } for every $var, changes maps
+// each identifier code to its { time, value } list and times holds every timestamp.
+// Throws an Error describing the first problem found.
+function parseVcd(text) {
+    const tokens = text.split(/\s+/).filter(token => token !== '');
+    const signals = [];
+    const changes = new Map();
+    const times = [];
+    const scopes = [];
+    let timescale = '';
+    let time = 0;
+
+    // Collect the tokens up to the next $end
+    let index = 0;
+    const untilEnd = () => {
+        const body = [];
+        while (index < tokens.length && tokens[index] !== '$end') {
+            body.push(tokens[index++]);
+        }
+        if (index >= tokens.length) {
+            throw new Error('Unterminated declaration (missing $end)');
+        }
+        index++;
+        return body;
+    };
+
+    const record = (code, value) => {
+        if (!changes.has(code)) {
+            throw new Error(`Value change for undeclared identifier "${code}" at time ${time}`);
+        }
+        changes.get(code).push({ time: time, value: value });
+    };
+
+    while (index < tokens.length) {
+        const token = tokens[index++];
+
+        switch (token) {
+            case '$timescale':
+                timescale = untilEnd().join('');
+                break;
+            case '$scope':
+                scopes.push(untilEnd()[1]);
+                break;
+            case '$upscope':
+                untilEnd();
+                scopes.pop();
+                break;
+            case '$var': {
+                const [, width, code, reference] = untilEnd();
+                if (!code || !reference) {
+                    throw new Error('Malformed $var declaration');
+                }
+                // Drop a bit range written onto the name, e.g. "data[7:0]"
+                const name = reference.replace(/\[[^\]]*\]$/, '');
+                const scope = scopes.join('.');
+                signals.push({
+                    code: code,
+                    name: name,
+                    scope: scope,
+                    fullName: scope ? `${scope}.${name}` : name,
+                    width: parseInt(width, 10) || 1
+                });
+                if (!changes.has(code)) {
+                    changes.set(code, []);
+                }
+                break;
+            }
+            case '$comment':
+            case '$date':
+            case '$version':
+            case '$enddefinitions':
+                untilEnd();
+                break;
+            case '$dumpvars':
+            case '$dumpall':
+            case '$dumpon':
+            case '$dumpoff':
+            case '$end':
+                // Value changes inside these blocks are read like any others
+                break;
+            default:
+                if (token[0] === '#') {
+                    time = parseInt(token.slice(1), 10);
+                    if (Number.isNaN(time)) {
+                        throw new Error(`Invalid timestamp "${token}"`);
+                    }
+                    if (times.length === 0 || times[times.length - 1] !== time) {
+                        times.push(time);
+                    }
+                } else if (token[0] === 'b' || token[0] === 'B') {
+                    record(tokens[index++], token.slice(1).toLowerCase());
+                } else if (token[0] === 'r' || token[0] === 'R') {
+                    record(tokens[index++], parseFloat(token.slice(1)));
+                } else if (/^[01xXzZ]/.test(token)) {
+                    record(token.slice(1), token[0].toLowerCase());
+                } else {
+                    throw new Error(`Unexpected token "${token}"`);
+                }
+        }
+    }
+
+    if (signals.length === 0) {
+        throw new Error('No signals declared');
+    }
+
+    return {
+        timescale: timescale,
+        signals: signals,
+        changes: changes,
+        times: times.length > 0 ? times : [0],
+        endTime: times.length > 0 ? times[times.length - 1] : 0
+    };
+}
+
+// Convert a recorded value into a number of the given type, or 'x' when any bit is unknown
+// or floating. A multi-bit vector is two's complement unless the type is unsigned, and is
+// scaled down by the type's fractional bits.
+function decodeVcdValue(raw, width, type) {
+    if (typeof raw === 'number') return raw;
+    if (raw === undefined || /[xz]/.test(raw)) return 'x';
+
+    // Vectors are written without their leading zeros
+    const bits = raw.padStart(width, '0');
+    let value = parseInt(bits, 2);
+    if (type.signed && width > 1 && bits.length === width && bits[0] === '1') {
+        value -= 2 ** width;
+    }
+    return value / 2 ** type.frac;
+}
+
+// Type the recorded values of an element port ("elementId.port") are decoded with: its
+// declared or inferred type, or else a signed value in the simulation's fixed-point format
+function getVcdValueType(key) {
+    return getSignalType(key) || { signed: true, frac: simulationConfig.fractionalBits };
+}
+
+// Recorded value of a signal at a time (the last change at or before it), decoded as the type
+function getVcdValueAt(signal, time, type) {
+    const changes = vcdState.data.changes.get(signal.code);
+    let low = 0;
+    let high = changes.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (changes[middle].time <= time) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return found < 0 ? 'x' : decodeVcdValue(changes[found].value, signal.width, type);
+}
+
+// Parse the mapping table: one "elementId.port = hierarchical.signal" per line
+// ("#" starts a comment). Returns { mapping, errors }.
+function parseVcdMapping(text) {
+    const mapping = new Map();
+    const errors = [];
+
+    text.split('\n').forEach((line, lineIndex) => {
+        const content = line.replace(/#.*$/, '').trim();
+        if (!content) return;
+
+        const match = content.match(/^([^=\s]+)\s*[=:]\s*(\S+)$/);
+        if (!match) {
+            errors.push(`Line ${lineIndex + 1}: expected "elementId.port = signal.name"`);
+            return;
+        }
+
+        const key = match[1].includes('.') ? match[1] : `${match[1]}.out`;
+        mapping.set(key, match[2]);
+    });
+
+    return { mapping: mapping, errors: errors };
+}
+
+// Find the VCD signal for an element port ("elementId.port"), from the mapping table
+// or by the naming convention of the Verilog export. Returns null when none matches.
+function findVcdSignal(key) {
+    if (!vcdState.data) return null;
+    if (vcdState.signalCache.has(key)) return vcdState.signalCache.get(key);
+
+    const signals = vcdState.data.signals;
+    let signal = null;
+
+    if (vcdState.mapping.has(key)) {
+        const name = vcdState.mapping.get(key);
+        signal = signals.find(s => s.fullName === name)
+            || signals.find(s => s.fullName.endsWith(`.${name}`))
+            || null;
+    } else {
+        const [elementId, port] = key.split('.');
+        const element = findElementById(elementId);
+
+        const location = element ? getVerilogSignalLocation(element, port) : null;
+
+        if (location && location.scope) {
+            // Internal component: named inside the instance's scope, which for a nested
+            // instance is the path of instance names (e.g. "mlp1.layer1.u0")
+            const { scope, name } = location;
+            signal = signals.find(s => s.name === name
+                && (s.scope === scope || s.scope.endsWith(`.${scope}`))) || null;
+        } else if (location) {
+            // Top-level element: the shallowest signal with its name (the design, not the testbench copy)
+            const name = location.name;
+            signal = signals
+                .filter(s => s.name === name)
+                .sort((a, b) => a.fullName.split('.').length - b.fullName.split('.').length)[0] || null;
+        }
+    }
+
+    vcdState.signalCache.set(key, signal);
+    return signal;
+}
+
+// Look up any element by ID, including the components of collapsed modules
+function findElementById(elementId) {
+    const search = list => {
+        for (const element of list) {
+            if (element.id === elementId) return element;
+            if (element.type === 'module') {
+                const found = search(element.components || []);
+                if (found) return found;
+            }
+        }
+        return null;
+    };
+    return search(currentElements);
+}
+
+// Text shown for a decoded value, rounded as the simulation labels are
+function formatVcdValue(value) {
+    if (value === 'x') return 'x';
+    return Number.isInteger(value) ? String(value) : String(+value.toFixed(4));
+}
+
+// Timestamp currently shown
+function getVcdTime() {
+    return vcdState.data.times[vcdState.timeIndex];
+}
+
+// Load a VCD file's text, reporting parse errors in the diagnostics panel
+function loadVcdText(text, fileName) {
+    try {
+        vcdState.data = parseVcd(text);
+    } catch (error) {
+        addRuntimeDiagnostic('error', `Error parsing VCD file ${fileName}: ${error.message}`, null, 'vcd');
+        return false;
+    }
+
+    vcdState.fileName = fileName;
+    vcdState.timeIndex = 0;
+    vcdState.signalCache.clear();
+
+    addRuntimeDiagnostic('info', `Loaded ${vcdState.data.signals.length} signal(s) and ${vcdState.data.times.length} timestamp(s) from ${fileName}`, null, 'vcd');
+    updateVcdControls();
+    renderVcdValues();
+    return true;
+}
+
+// Show the values recorded at a timestamp
+function setVcdTimeIndex(timeIndex) {
+    if (!vcdState.data) return;
+    vcdState.timeIndex = Math.max(0, Math.min(timeIndex, vcdState.data.times.length - 1));
+    updateVcdControls();
+    renderVcdValues();
+}
+
+// Draw the recorded value next to every mapped driving port, then refresh the strip
+function renderVcdValues() {
+    diagram.selectAll('.vcd-values').remove();
+
+    if (vcdState.data && currentElements.length > 0) {
+        // IDs change meaning when a new diagram is loaded
+        if (vcdState.elements !== currentElements) {
+            vcdState.elements = currentElements;
+            vcdState.signalCache.clear();
+        }
+
+        const time = getVcdTime();
+        const layer = diagram.append('g').attr('class', 'vcd-values');
+        drawPortValueLabels(layer, 'vcd-value', key => {
+            const signal = findVcdSignal(resolveBoundaryReference(key));
+            return signal ? formatVcdValue(getVcdValueAt(signal, time, getVcdValueType(key))) : null;
+        }, 14);
+    }
+
+    renderWaveformStrip();
+}
+
+// Signals of an element for the waveform strip: what drives each of its inputs, then its outputs.
+// Returns { label, key } rows.
+function getElementWaveformRows(element) {
+    const rows = getInputConnections(element).map(input => ({
+        label: `${input.port}${input.index === null ? '' : `[${input.index}]`} ← ${input.sourceId}.${input.sourcePort}`,
+        key: `${input.sourceId}.${input.sourcePort}`
+    }));
+
+    if (element.type === 'module') {
+        getModulePorts(element, 'outputs').forEach(port => {
+            rows.push({ label: `${port.name} →`, key: `${element.id}.${port.name}` });
+        });
+    } else {
+        const ports = getPrimitivePorts(element.type);
+        (ports ? ports.outputs : ['out']).forEach(port => {
+            rows.push({ label: `${port} →`, key: `${element.id}.${port}` });
+        });
+    }
+
+    return rows;
+}
+
+// Draw the waveforms of the selected element in the strip below the diagram
+function renderWaveformStrip() {
+    const panel = document.getElementById('waveform-panel');
+    if (!panel) return;
+
+    const selected = diagram.select('.primitive.selected');
+    if (!vcdState.data || selected.empty()) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    const element = selected.datum();
+    const rows = getElementWaveformRows(element);
+    document.getElementById('waveform-title').textContent = `${element.id} (${vcdState.fileName})`;
+
+    const rowHeight = 22;
+    const labelWidth = 170;
+    const width = Math.max(panel.clientWidth, 400) - 20;
+    const height = rows.length * rowHeight + 16;
+    const endTime = Math.max(vcdState.data.endTime, 1);
+    const x = time => labelWidth + (time / endTime) * (width - labelWidth - 10);
+
+    const strip = d3.select('#waveform-svg')
+        .attr('width', width)
+        .attr('height', height);
+    strip.selectAll('*').remove();
+
+    rows.forEach((row, index) => {
+        const top = index * rowHeight + 4;
+        const group = strip.append('g').attr('class', 'waveform-row');
+        const signal = findVcdSignal(resolveBoundaryReference(row.key));
+        const type = getVcdValueType(row.key);
+
+        group.append('text')
+            .attr('class', 'waveform-label')
+            .attr('x', 4)
+            .attr('y', top + rowHeight / 2)
+            .attr('dominant-baseline', 'middle')
+            .text(signal ? `${row.label} ${signal.name}` : `${row.label} (no signal)`);
+
+        if (!signal) return;
+
+        // One segment per recorded value, up to the next change (or the end of the dump)
+        const changes = vcdState.data.changes.get(signal.code);
+        changes.forEach((change, changeIndex) => {
+            const start = x(change.time);
+            const end = x(changeIndex + 1 < changes.length ? changes[changeIndex + 1].time : endTime);
+            const value = decodeVcdValue(change.value, signal.width, type);
+
+            if (signal.width === 1 && value !== 'x') {
+                // Single bit: a line high or low
+                const y = value ? top + 3 : top + rowHeight - 5;
+                group.append('line')
+                    .attr('class', 'waveform-bit')
+                    .attr('x1', start).attr('x2', end)
+                    .attr('y1', y).attr('y2', y);
+                if (changeIndex > 0) {
+                    group.append('line')
+                        .attr('class', 'waveform-bit')
+                        .attr('x1', start).attr('x2', start)
+                        .attr('y1', top + 3).attr('y2', top + rowHeight - 5);
+                }
+                return;
+            }
+
+            // Vector: a bus segment with its value written inside when there is room
+            const middle = top + (rowHeight - 2) / 2;
+            const slant = Math.min(3, (end - start) / 2);
+            group.append('polygon')
+                .attr('class', value === 'x' ? 'waveform-bus waveform-unknown' : 'waveform-bus')
+                .attr('points', [
+                    [start, middle], [start + slant, top + 3], [end - slant, top + 3],
+                    [end, middle], [end - slant, top + rowHeight - 5], [start + slant, top + rowHeight - 5]
+                ].map(point => point.join(',')).join(' '));
+
+            const text = formatVcdValue(value);
+            if (end - start > text.length * 6 + 6) {
+                group.append('text')
+                    .attr('class', 'waveform-value')
+                    .attr('x', (start + end) / 2)
+                    .attr('y', middle)
+                    .attr('text-anchor', 'middle')
+                    .attr('dominant-baseline', 'middle')
+                    .text(text);
+            }
+        });
+    });
+
+    // Cursor at the timestamp being shown
+    const cursor = x(getVcdTime());
+    strip.append('line')
+        .attr('class', 'waveform-cursor')
+        .attr('x1', cursor).attr('x2', cursor)
+        .attr('y1', 0).attr('y2', height);
+
+    // Clicking the strip moves to the last timestamp at or before that point
+    strip.on('click', event => {
+        const time = (d3.pointer(event)[0] - labelWidth) / (width - labelWidth - 10) * endTime;
+        const times = vcdState.data.times;
+        let index = 0;
+        while (index + 1 < times.length && times[index + 1] <= time) index++;
+        setVcdTimeIndex(index);
+    });
+}
+
+// Keep the slider and time readout in step with the loaded dump
+function updateVcdControls() {
+    const slider = document.getElementById('vcd-time');
+    const label = document.getElementById('vcd-time-label');
+    if (!vcdState.data) return;
+
+    if (slider) {
+        slider.max = vcdState.data.times.length - 1;
+        slider.value = vcdState.timeIndex;
+    }
+    if (label) {
+        label.textContent = `t = ${getVcdTime()}${vcdState.data.timescale ? ` × ${vcdState.data.timescale}` : ''}`;
+    }
+}
+
+// Wire up the VCD controls in the controls panel
+function setupVcdControls() {
+    const fileInput = document.getElementById('vcd-input');
+    const mapping = document.getElementById('vcd-mapping');
+    const slider = document.getElementById('vcd-time');
+
+    if (fileInput) {
+        fileInput.addEventListener('change', event => {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = e => loadVcdText(e.target.result, file.name);
+            reader.onerror = () => alert('Error reading file');
+            reader.readAsText(file);
+        });
+    }
+
+    if (mapping) {
+        mapping.addEventListener('change', () => {
+            const result = parseVcdMapping(mapping.value);
+            result.errors.forEach(message => addRuntimeDiagnostic('error', `VCD mapping: ${message}`, null, 'vcd'));
+            vcdState.mapping = result.mapping;
+            vcdState.signalCache.clear();
+            renderVcdValues();
+        });
+    }
+
+    if (slider) {
+        slider.addEventListener('input', () => setVcdTimeIndex(parseInt(slider.value, 10)));
+    }
+}
@@ -0,0 +1,737 @@
+/**
+ * SchematicViewer - SystemVerilog Export
+ * Generates synthesizable SystemVerilog (one module per module definition plus the
+ * top level) and a matching testbench skeleton from the loaded netlist
+ */
+
+// Options chosen in the Verilog export controls
+const verilogConfig = {
+    dataWidth: 16
+};
+
+// Words that cannot be used as SystemVerilog identifiers: the reserved keywords of
+// IEEE 1800-2017 (Annex B)
+const verilogKeywords = new Set([
+    'accept_on', 'alias', 'always', 'always_comb', 'always_ff', 'always_latch', 'and', 'assert',
+    'assign', 'assume', 'automatic', 'before', 'begin', 'bind', 'bins', 'binsof', 'bit', 'break',
+    'buf', 'bufif0', 'bufif1', 'byte', 'case', 'casex', 'casez', 'cell', 'chandle', 'checker',
+    'class', 'clocking', 'cmos', 'config', 'const', 'constraint', 'context', 'continue', 'cover',
+    'covergroup', 'coverpoint', 'cross', 'deassign', 'default', 'defparam', 'design', 'disable',
+    'dist', 'do', 'edge', 'else', 'end', 'endcase', 'endchecker', 'endclass', 'endclocking',
+    'endconfig', 'endfunction', 'endgenerate', 'endgroup', 'endinterface', 'endmodule',
+    'endpackage', 'endprimitive', 'endprogram', 'endproperty', 'endspecify', 'endsequence',
+    'endtable', 'endtask', 'enum', 'event', 'eventually', 'expect', 'export', 'extends', 'extern',
+    'final', 'first_match', 'for', 'force', 'foreach', 'forever', 'fork', 'forkjoin', 'function',
+    'generate', 'genvar', 'global', 'highz0', 'highz1', 'if', 'iff', 'ifnone', 'ignore_bins',
+    'illegal_bins', 'implements', 'implies', 'import', 'incdir', 'include', 'initial', 'inout',
+    'input', 'inside', 'instance', 'int', 'integer', 'interconnect', 'interface', 'intersect',
+    'join', 'join_any', 'join_none', 'large', 'let', 'liblist', 'library', 'local', 'localparam',
+    'logic', 'longint', 'macromodule', 'matches', 'medium', 'modport', 'module', 'nand', 'negedge',
+    'nettype', 'new', 'nexttime', 'nmos', 'nor', 'noshowcancelled', 'not', 'notif0', 'notif1',
+    'null', 'or', 'output', 'package', 'packed', 'parameter', 'pmos', 'posedge', 'primitive',
+    'priority', 'program', 'property', 'protected', 'pull0', 'pull1', 'pulldown', 'pullup',
+    'pulsestyle_ondetect', 'pulsestyle_onevent', 'pure', 'rand', 'randc', 'randcase',
+    'randsequence', 'rcmos', 'real', 'realtime', 'ref', 'reg', 'reject_on', 'release', 'repeat',
+    'restrict', 'return', 'rnmos', 'rpmos', 'rtran', 'rtranif0', 'rtranif1', 's_always',
+    's_eventually', 's_nexttime', 's_until', 's_until_with', 'scalared', 'sequence', 'shortint',
+    'shortreal', 'showcancelled', 'signed', 'small', 'soft', 'solve', 'specify', 'specparam',
+    'static', 'string', 'strong', 'strong0', 'strong1', 'struct', 'super', 'supply0', 'supply1',
+    'sync_accept_on', 'sync_reject_on', 'table', 'tagged', 'task', 'this', 'throughout', 'time',
+    'timeprecision', 'timeunit', 'tran', 'tranif0', 'tranif1', 'tri', 'tri0', 'tri1', 'triand',
+    'trior', 'trireg', 'type', 'typedef', 'union', 'unique', 'unique0', 'unsigned', 'until',
+    'until_with', 'untyped', 'use', 'uwire', 'var', 'vectored', 'virtual', 'void', 'wait',
+    'wait_order', 'wand', 'weak', 'weak0', 'weak1', 'while', 'wildcard', 'wire', 'with', 'within',
+    'wor', 'xnor', 'xor'
+]);
+
+// Names every generated module uses itself: the clock and reset ports, the parameters and,
+// for the top level, the testbench's latency constant and instance name
+const verilogReservedNames = ['clk', 'rst', 'WIDTH', 'CLAMP_MIN', 'CLAMP_MAX', 'LATENCY', 'dut'];
+
+// Turn a diagram ID or port name into a legal SystemVerilog identifier
+function toVerilogIdentifier(name) {
+    let identifier = String(name).replace(/[^A-Za-z0-9_]/g, '_');
+    if (/^[0-9]/.test(identifier)) {
+        identifier = `n_${identifier}`;
+    }
+    if (verilogKeywords.has(identifier)) {
+        identifier = `${identifier}_`;
+    }
+    return identifier;
+}
+
+// Table of the names used in one generated module. Every item (a port, signal or instance,
+// identified by a key) is given a legal identifier the first time it is named; one that is
+// already taken or reserved gets a numeric suffix (x, x_1, x_2, ...).
+function createVerilogNameTable(reserved = verilogReservedNames) {
+    const names = new Map();
+    const used = new Set(reserved);
+
+    return {
+        name(key, base) {
+            if (!names.has(key)) {
+                const identifier = toVerilogIdentifier(base);
+                let name = identifier;
+                for (let suffix = 1; used.has(name); suffix++) {
+                    name = `${identifier}_${suffix}`;
+                }
+                used.add(name);
+                names.set(key, name);
+            }
+            return names.get(key);
+        }
+    };
+}
+
+// Names of one generated module: its ports first (as { key, base }), then the instance name
+// and output signals of every component, then the helper signals derived from them
+// (pipeline registers, lane arrays), so that a component keeps its own name if it can
+function buildVerilogNames(ports, components, definitions) {
+    const names = createVerilogNameTable();
+    ports.forEach(port => names.name(port.key, port.base));
+
+    components.forEach(component => {
+        if (component.type === 'module' && getInstanceDefinition(component, definitions)) {
+            names.name(`instance:${component.id}`, component.id);
+        }
+        getVerilogOutputPorts(component, definitions).forEach(port => getVerilogSignal(names, component, port));
+    });
+
+    components.forEach(component => {
+        if (component.type === 'module') {
+            if (!getInstanceDefinition(component, definitions)) return;
+            const instance = names.name(`instance:${component.id}`);
+            Object.entries(component.inputs || {})
+                .filter(([, value]) => Array.isArray(value))
+                .forEach(([port]) => names.name(`array:${component.id}.${port}`, `${instance}_${port}`));
+        } else if (getRegisterStages(component) > 0) {
+            getVerilogOutputPorts(component, definitions).forEach(port => {
+                names.name(`pipe:${component.id}.${port}`, `${getVerilogSignal(names, component, port)}_q`);
+            });
+        }
+    });
+
+    return names;
+}
+
+// Names of the module generated for a definition, per definition object
+const definitionVerilogNames = new WeakMap();
+
+// Names of the module generated for a definition: its ports are named after the
+// definition's ports, so instances connect to them by the same names
+function getDefinitionVerilogNames(definition, definitions) {
+    if (!definitionVerilogNames.has(definition)) {
+        const ports = definition.inputs.concat(definition.outputs)
+            .map(port => ({ key: `port:${port.name}`, base: port.name }));
+        definitionVerilogNames.set(definition, buildVerilogNames(ports, definition.components, definitions));
+    }
+    return definitionVerilogNames.get(definition);
+}
+
+// Elements of the top-level module: inline modules list their components with global IDs,
+// so these are flattened into the top level
+function getTopVerilogElements(elements, definitions) {
+    const flattened = [];
+    elements.forEach(element => {
+        flattened.push(element);
+        if (element.type === 'module' && !definitions.has(element.moduleType) && Array.isArray(element.components)) {
+            flattened.push(...element.components);
+        }
+    });
+    return flattened;
+}
+
+// Names of the top-level module: an input element's signal is its input port, and an
+// output element is an output port
+function getTopVerilogNames(elements, definitions) {
+    const ports = [
+        ...elements.filter(element => element.type === 'input')
+            .map(element => ({ key: `signal:${element.id}.out`, base: element.id })),
+        ...elements.filter(element => element.type === 'output')
+            .map(element => ({ key: `port:${element.id}`, base: element.id }))
+    ];
+    const components = getTopVerilogElements(elements, definitions)
+        .filter(element => element.type !== 'input' && element.type !== 'output');
+    return buildVerilogNames(ports, components, definitions);
+}
+
+// Generate the RTL for a diagram. Returns { design, testbench, problems }: the design holds
+// one module per module definition followed by the top-level module, and problems lists
+// the primitives with no RTL template as { message, elementId }. The RTL is not usable
+// while there are problems.
+function generateVerilog(source, topName, options = verilogConfig) {
+    const elements = Array.isArray(source) ? source : (source.elements || []);
+    const rawDefinitions = Array.isArray(source) ? {} : (source.moduleDefinitions || {});
+
+    const definitions = new Map();
+    for (const [moduleType, definition] of Object.entries(rawDefinitions)) {
+        definitions.set(moduleType, normalizeModuleDefinition(moduleType, definition));
+    }
+
+    // One module per definition, plus one per other set of parameter values an instance passes
+    const emitted = new Map();
+    const collect = definition => {
+        const name = getVerilogModuleName(definition, definitions);
+        if (emitted.has(name)) return;
+        emitted.set(name, definition);
+        definition.components.forEach(component => {
+            const inner = component.type === 'module' ? getInstanceDefinition(component, definitions) : null;
+            if (inner) collect(inner);
+        });
+    };
+    definitions.forEach(collect);
+    elements.forEach(element => {
+        const definition = element.type === 'module' ? getInstanceDefinition(element, definitions) : null;
+        if (definition) collect(definition);
+    });
+
+    // Keep the top-level module (and its testbench) clear of the definition module names
+    const definitionNames = new Set(emitted.keys());
+    let moduleName = toVerilogIdentifier(topName);
+    while (definitionNames.has(moduleName) || definitionNames.has(`${moduleName}_tb`)) {
+        moduleName = `${moduleName}_top`;
+    }
+
+    const header = [
+        `// Generated by SchematicViewer from ${topName}`,
+        '// Regenerate from the diagram rather than editing by hand.',
+        ''
+    ];
+
+    const problems = [];
+    const modules = [...emitted.values()].map(definition =>
+        generateDefinitionModule(definition, definitions, options, problems));
+    const top = generateTopModule(moduleName, elements, definitions, options, problems);
+    modules.push(top.text);
+
+    return {
+        design: header.concat(modules.join('\n')).join('\n'),
+        testbench: generateTestbench(moduleName, top, options),
+        problems: problems
+    };
+}
+
+// Module for one entry of moduleDefinitions; primitives it cannot generate are added to problems
+function generateDefinitionModule(definition, definitions, options, problems) {
+    const components = definition.components;
+    const componentsById = new Map(components.map(component => [component.id, component]));
+    const inputNames = new Set(definition.inputs.map(port => port.name));
+    const names = getDefinitionVerilogNames(definition, definitions);
+
+    // "$.port", "$.port[i]", "component.port" or the "input.out" shorthand
+    const resolve = reference => {
+        if (typeof reference !== 'string') return null;
+
+        const inputMatch = reference.match(/^\$\.([^[\]]+)(?:\[(\d+)\])?$/);
+        if (inputMatch) {
+            if (!inputNames.has(inputMatch[1])) return null;
+            const port = names.name(`port:${inputMatch[1]}`);
+            return inputMatch[2] === undefined ? port : `${port}[${inputMatch[2]}]`;
+        }
+
+        const [sourceId, sourcePort] = reference.split('.');
+        if (componentsById.has(sourceId)) {
+            return getVerilogSignal(names, componentsById.get(sourceId), sourcePort);
+        }
+        if (inputNames.has(sourceId)) {
+            return names.name(`port:${sourceId}`);
+        }
+        return null;
+    };
+
+    const body = emitVerilogComponents(components, resolve, definitions, names);
+    body.unsupported.forEach(component => problems.push({
+        message: `No Verilog template for primitive type "${component.type}" (${component.id} in module definition ${definition.moduleType})`,
+        elementId: null
+    }));
+
+    // Drive the output ports from their mappings
+    definition.outputs.forEach(port => {
+        const mapping = definition.outputMappings[port.name];
+        const name = names.name(`port:${port.name}`);
+        const lanes = Array.isArray(mapping) ? mapping : [mapping];
+        lanes.forEach((reference, lane) => {
+            const target = port.size > 1 ? `${name}[${lane}]` : name;
+            body.statements.push(`    assign ${target} = ${resolve(reference) || unresolvedVerilog(reference)};`);
+        });
+    });
+
+    const ports = [];
+    if (body.usesClock) {
+        ports.push('input  logic clk', 'input  logic rst');
+    }
+    definition.inputs.forEach(port => ports.push(`input  ${verilogDataType()} ${verilogPortName(names, port)}`));
+    definition.outputs.forEach(port => ports.push(`output ${verilogDataType()} ${verilogPortName(names, port)}`));
+
+    const parameters = formatParameters(definition.parameters);
+    return formatVerilogModule(getVerilogModuleName(definition, definitions), ports, body,
+        `// Module definition: ${definition.moduleType}${parameters ? ` (${parameters})` : ''}`, options);
+}
+
+// Module names given so far, per set of definitions
+const verilogModuleNames = new WeakMap();
+
+// Name of the module generated for a definition: its module type, followed by any
+// parameter values that differ from the defaults (e.g. "quantized_linear_N8"). Module types
+// that turn into the same identifier (e.g. "a-b" and "a_b") get a numeric suffix.
+function getVerilogModuleName(definition, definitions) {
+    const base = definitions.get(definition.moduleType);
+    const changed = Object.entries(definition.parameters || {})
+        .filter(([name, value]) => !base || base.parameters[name] !== value);
+
+    if (!verilogModuleNames.has(definitions)) {
+        verilogModuleNames.set(definitions, createVerilogNameTable([]));
+    }
+    return verilogModuleNames.get(definitions).name(
+        `${definition.moduleType}(${changed.map(([name, value]) => `${name}=${value}`).join(',')})`,
+        [definition.moduleType, ...changed.map(([name, value]) => `${name}${value}`)].join('_'));
+}
+
+// Top-level module: input elements become input ports and output elements output ports.
+// Primitives it cannot generate are added to problems.
+function generateTopModule(moduleName, elements, definitions, options, problems) {
+    const flattened = getTopVerilogElements(elements, definitions);
+    const elementsById = new Map(flattened.map(element => [element.id, element]));
+    const names = getTopVerilogNames(elements, definitions);
+
+    const resolve = reference => {
+        if (typeof reference !== 'string') return null;
+        const [sourceId, sourcePort] = reference.split('.');
+        const source = elementsById.get(sourceId);
+        return source ? getVerilogSignal(names, source, sourcePort) : null;
+    };
+
+    const inputs = elements.filter(element => element.type === 'input').map(element => getVerilogSignal(names, element, 'out'));
+    const outputs = elements.filter(element => element.type === 'output');
+    const outputNames = outputs.map(element => names.name(`port:${element.id}`));
+
+    const body = emitVerilogComponents(
+        flattened.filter(element => element.type !== 'input' && element.type !== 'output'),
+        resolve, definitions, names);
+    body.unsupported.forEach(component => problems.push({
+        message: `No Verilog template for primitive type "${component.type}" (${component.id})`,
+        elementId: component.id
+    }));
+
+    outputs.forEach((element, index) => {
+        const reference = element.inputs ? element.inputs.in : undefined;
+        body.statements.push(`    assign ${outputNames[index]} = ${resolve(reference) || unresolvedVerilog(reference)};`);
+    });
+
+    const ports = [];
+    if (body.usesClock) {
+        ports.push('input  logic clk', 'input  logic rst');
+    }
+    inputs.forEach(name => ports.push(`input  ${verilogDataType()} ${name}`));
+    outputNames.forEach(name => ports.push(`output ${verilogDataType()} ${name}`));
+
+    return {
+        text: formatVerilogModule(moduleName, ports, body, '// Top level', options),
+        inputs: inputs,
+        outputs: outputNames,
+        usesClock: body.usesClock,
+        latency: getRtlLatency(flattened, outputs, definitions)
+    };
+}
+
+// Declarations and statements for a list of components, named from the module's name table.
+// Returns { declarations, statements, usesClock, unsupported }, with unsupported the
+// primitives that have no RTL template.
+function emitVerilogComponents(components, resolve, definitions, names) {
+    const body = { declarations: [], statements: [], usesClock: false, unsupported: [] };
+    const type = verilogDataType();
+
+    const input = (component, port) => {
+        const reference = component.inputs ? component.inputs[port] : undefined;
+        return resolve(reference) || unresolvedVerilog(reference);
+    };
+
+    components.forEach(component => {
+        if (component.type === 'module') {
+            const definition = getInstanceDefinition(component, definitions);
+
+            if (!definition) {
+                // Inline module: its components are emitted alongside it, so only its outputs remain
+                for (const [port, reference] of Object.entries(component.outputs || {})) {
+                    const signal = getVerilogSignal(names, component, port);
+                    body.declarations.push(`    ${type} ${signal};`);
+                    body.statements.push(`    assign ${signal} = ${resolve(reference) || unresolvedVerilog(reference)};`);
+                }
+                return;
+            }
+
+            // The instantiated module's ports are named by its own table
+            const name = names.name(`instance:${component.id}`);
+            const portNames = getDefinitionVerilogNames(definition, definitions);
+            const connections = [];
+            if (moduleUsesClock(definition, definitions)) {
+                connections.push('.clk(clk)', '.rst(rst)');
+                body.usesClock = true;
+            }
+
+            definition.inputs.forEach(port => {
+                const portName = portNames.name(`port:${port.name}`);
+                const value = component.inputs ? component.inputs[port.name] : undefined;
+
+                if (Array.isArray(value)) {
+                    // A list of lane connections is gathered into a local array first
+                    const array = names.name(`array:${component.id}.${port.name}`, `${name}_${port.name}`);
+                    body.declarations.push(`    ${type} ${array} [${value.length}];`);
+                    value.forEach((reference, lane) => {
+                        body.statements.push(`    assign ${array}[${lane}] = ${resolve(reference) || unresolvedVerilog(reference)};`);
+                    });
+                    connections.push(`.${portName}(${array})`);
+                } else {
+                    // A single connection, which for a vector port is a whole vector signal
+                    connections.push(`.${portName}(${resolve(value) || unresolvedVerilog(value)})`);
+                }
+            });
+
+            definition.outputs.forEach(port => {
+                const signal = getVerilogSignal(names, component, port.name);
+                body.declarations.push(`    ${type} ${signal}${port.size > 1 ? ` [${port.size}]` : ''};`);
+                connections.push(`.${portNames.name(`port:${port.name}`)}(${signal})`);
+            });
+
+            body.statements.push(
+                `    ${getVerilogModuleName(definition, definitions)} #(.WIDTH(WIDTH)) ${name} (`,
+                connections.map(connection => `        ${connection}`).join(',\n'),
+                '    );');
+            return;
+        }
+
+        // One expression per output port; most primitives have just "out"
+        let expression;
+        let expressions = null;
+        switch (component.type) {
+            case 'add':
+                expression = `${input(component, 'in1')} + ${input(component, 'in2')}`;
+                break;
+            case 'mul':
+                expression = `${input(component, 'in1')} * ${input(component, 'in2')}`;
+                break;
+            case 'relu2':
+                expression = `(${input(component, 'in')} > 0) ? ${input(component, 'in')} * ${input(component, 'in')} : '0`;
+                break;
+            case 'clamp': {
+                const value = input(component, 'in');
+                const low = Number.isFinite(component.min) ? component.min : 'CLAMP_MIN';
+                const high = Number.isFinite(component.max) ? component.max : 'CLAMP_MAX';
+                expression = `(${value} < ${low}) ? ${low} : (${value} > ${high}) ? ${high} : ${value}`;
+                break;
+            }
+            case 'reg':
+                expression = input(component, 'in');
+                break;
+            case 'slice':
+                expression = `${input(component, 'in')}[${component.msb}:${component.lsb}]`;
+                break;
+            case 'split': {
+                const value = input(component, 'in');
+                expressions = { hi: `${value} >>> ${component.at}`, lo: `${value}[${component.at - 1}:0]` };
+                break;
+            }
+            case 'concat':
+                expression = `(${input(component, 'hi')} <<< ${component.at}) | ${input(component, 'lo')}[${component.at - 1}:0]`;
+                break;
+            case 'mux':
+                expression = `(${input(component, 'sel')} != '0) ? ${input(component, 'in1')} : ${input(component, 'in0')}`;
+                break;
+            case 'divmod':
+                expressions = {
+                    quot: `${input(component, 'in1')} / ${input(component, 'in2')}`,
+                    rem: `${input(component, 'in1')} % ${input(component, 'in2')}`
+                };
+                break;
+            default: {
+                // Reported by the caller; every output the type declares is tied to zero meanwhile
+                body.unsupported.push(component);
+                const ports = getPrimitivePorts(component.type);
+                expression = "'0";
+                if (ports && ports.outputs.length > 1) {
+                    expressions = Object.fromEntries(ports.outputs.map(port => [port, expression]));
+                }
+            }
+        }
+
+        const stages = getRegisterStages(component);
+        Object.entries(expressions || { out: expression }).forEach(([port, portExpression]) => {
+            const signal = getVerilogSignal(names, component, port);
+            body.declarations.push(`    ${type} ${signal};`);
+
+            if (stages === 0) {
+                body.statements.push(`    assign ${signal} = ${portExpression};`);
+                return;
+            }
+
+            // Registered output: a chain of `stages` flip-flops with synchronous reset
+            body.usesClock = true;
+            const pipe = names.name(`pipe:${component.id}.${port}`, `${signal}_q`);
+            body.declarations.push(`    ${type} ${pipe} [${stages}];`);
+            body.statements.push(
+                '    always_ff @(posedge clk) begin',
+                '        if (rst) begin',
+                ...Array.from({ length: stages }, (_, stage) => `            ${pipe}[${stage}] <= '0;`),
+                '        end else begin',
+                `            ${pipe}[0] <= ${portExpression};`,
+                ...Array.from({ length: stages - 1 }, (_, stage) => `            ${pipe}[${stage + 1}] <= ${pipe}[${stage}];`),
+                '        end',
+                '    end',
+                `    assign ${signal} = ${pipe}[${stages - 1}];`);
+        });
+    });
+
+    return body;
+}
+
+// Number of flip-flops on a primitive's output: its latency, so that the RTL takes
+// exactly the clock cycles shown in the diagram (latency 0 is plain logic)
+function getRegisterStages(component) {
+    if (component.type === 'input' || component.type === 'output') return 0;
+    return getElementLatency(component);
+}
+
+// Whether a module definition (or anything instantiated inside it) has flip-flops
+function moduleUsesClock(definition, definitions, visiting = new Set()) {
+    const name = getVerilogModuleName(definition, definitions);
+    if (visiting.has(name)) return false;
+    visiting.add(name);
+
+    return definition.components.some(component => {
+        if (component.type === 'module') {
+            const inner = getInstanceDefinition(component, definitions);
+            return inner ? moduleUsesClock(inner, definitions, visiting) : false;
+        }
+        return getRegisterStages(component) > 0;
+    });
+}
+
+// Cycles from the top-level inputs to the slowest output in the generated RTL
+function getRtlLatency(elements, outputs, definitions) {
+    const elementsById = new Map(elements.map(element => [element.id, element]));
+    const definitionLatencies = new Map();
+
+    // Register stages along the slowest path to a component's output
+    function readyCycle(componentsById, component, visiting) {
+        if (!component || visiting.has(component.id)) return 0;
+        visiting.add(component.id);
+
+        let start = 0;
+        getInputConnections(component).forEach(input => {
+            start = Math.max(start, readyCycle(componentsById, componentsById.get(input.sourceId), visiting));
+        });
+
+        let stages;
+        if (component.type === 'module') {
+            const definition = getInstanceDefinition(component, definitions);
+            stages = definition ? definitionLatency(definition) : 0;
+            if (!definition) {
+                // Inline module: the latency is carried by its (flattened) components
+                Object.values(component.outputs || {}).flat().forEach(reference => {
+                    if (typeof reference !== 'string') return;
+                    start = Math.max(start, readyCycle(componentsById, componentsById.get(reference.split('.')[0]), visiting));
+                });
+            }
+        } else {
+            stages = getRegisterStages(component);
+        }
+
+        visiting.delete(component.id);
+        return start + stages;
+    }
+
+    function definitionLatency(definition) {
+        const name = getVerilogModuleName(definition, definitions);
+        if (definitionLatencies.has(name)) {
+            return definitionLatencies.get(name);
+        }
+        definitionLatencies.set(name, 0); // Guards against recursive definitions
+
+        const componentsById = new Map(definition.components.map(component => [component.id, component]));
+        let latency = 0;
+        Object.values(definition.outputMappings).flat().forEach(reference => {
+            if (typeof reference !== 'string') return;
+            latency = Math.max(latency, readyCycle(componentsById, componentsById.get(reference.split('.')[0]), new Set()));
+        });
+
+        definitionLatencies.set(name, latency);
+        return latency;
+    }
+
+    return Math.max(0, ...outputs.map(output => readyCycle(elementsById, output, new Set())));
+}
+
+// Signal carrying one output port of a component, from the module's name table. A primitive
+// with a single output is named after the component; modules and primitives with several
+// outputs get one signal per port (e.g. "dm_quot").
+function getVerilogSignal(names, component, port) {
+    const ports = component.type === 'module' ? null : getPrimitivePorts(component.type);
+    if (component.type === 'module' || (ports && ports.outputs.length > 1)) {
+        return names.name(`signal:${component.id}.${port}`, `${component.id}_${port}`);
+    }
+    return names.name(`signal:${component.id}.${ports && ports.outputs.length === 1 ? ports.outputs[0] : 'out'}`, component.id);
+}
+
+// Output ports of a component that carry a signal
+function getVerilogOutputPorts(component, definitions) {
+    if (component.type === 'module') {
+        const definition = getInstanceDefinition(component, definitions);
+        return definition ? definition.outputs.map(port => port.name) : Object.keys(component.outputs || {});
+    }
+    const ports = getPrimitivePorts(component.type);
+    return ports ? ports.outputs : ['out'];
+}
+
+// Where the Verilog export declares the signal of an element port of the loaded diagram:
+// { scope, name }, with scope the instance names from the top-level module down ('' at the
+// top level). The components of inline modules are part of the top level.
+function getVerilogSignalLocation(element, port) {
+    let names = getTopVerilogNames(currentElements, moduleRegistry);
+    const scope = [];
+
+    // Inside a definition a component is known by its local ID
+    const localId = item => item.localId || item.id;
+
+    getEnclosingModules(element).forEach(module => {
+        const definition = getInstanceDefinition(module, moduleRegistry);
+        if (!definition) return;
+        scope.push(names.name(`instance:${localId(module)}`, localId(module)));
+        names = getDefinitionVerilogNames(definition, moduleRegistry);
+    });
+
+    // An output element is the top-level output port it drives
+    const name = element.type === 'output'
+        ? names.name(`port:${element.id}`)
+        : getVerilogSignal(names, { ...element, id: localId(element) }, port);
+    return { scope: scope.join('.'), name };
+}
+
+// Port declaration name, with the array size of a vector port
+function verilogPortName(names, port) {
+    const name = names.name(`port:${port.name}`);
+    return port.size > 1 ? `${name} [${port.size}]` : name;
+}
+
+// Data type of every signal in the generated RTL
+function verilogDataType() {
+    return 'logic signed [WIDTH-1:0]';
+}
+
+// Placeholder for a connection that does not resolve to a signal
+function unresolvedVerilog(reference) {
+    return `'0 /* unresolved: ${JSON.stringify(reference)} */`;
+}
+
+// Assemble a module from its ports, declarations and statements
+function formatVerilogModule(name, ports, body, comment, options) {
+    const usesClamp = body.statements.some(statement => statement.includes('CLAMP_MIN') || statement.includes('CLAMP_MAX'));
+
+    const parameters = [`    parameter int WIDTH = ${options.dataWidth}`];
+    if (usesClamp) {
+        parameters.push(
+            '    parameter int CLAMP_MIN = -(2 ** (WIDTH - 1))',
+            '    parameter int CLAMP_MAX = 2 ** (WIDTH - 1) - 1');
+    }
+
+    return [
+        comment,
+        `module ${name} #(`,
+        parameters.join(',\n'),
+        ') (',
+        ports.map(port => `    ${port}`).join(',\n'),
+        ');',
+        ...body.declarations,
+        '',
+        ...body.statements,
+        'endmodule',
+        ''
+    ].join('\n');
+}
+
+// Testbench skeleton: clock, reset, zeroed inputs and a check after the pipeline latency
+function generateTestbench(moduleName, top, options) {
+    const connections = [];
+    if (top.usesClock) {
+        connections.push('.clk(clk)', '.rst(rst)');
+    }
+    top.inputs.concat(top.outputs).forEach(port => connections.push(`.${port}(${port})`));
+
+    return [
+        `// Testbench skeleton for ${moduleName}, generated by SchematicViewer`,
+        '`timescale 1ns / 1ps',
+        '',
+        `module ${moduleName}_tb;`,
+        `    localparam int WIDTH = ${options.dataWidth};`,
+        `    localparam int LATENCY = ${top.latency}; // Register stages from inputs to outputs`,
+        '',
+        '    logic clk = 1\'b0;',
+        '    logic rst;',
+        ...top.inputs.concat(top.outputs).map(port => `    logic signed [WIDTH-1:0] ${port};`),
+        '',
+        `    ${moduleName} #(.WIDTH(WIDTH)) dut (`,
+        connections.map(connection => `        ${connection}`).join(',\n'),
+        '    );',
+        '',
+        '    always #5 clk = ~clk;',
+        '',
+        '    initial begin',
+        '        rst = 1\'b1;',
+        ...top.inputs.map(port => `        ${port} = '0;`),
+        '        repeat (2) @(posedge clk);',
+        '        rst = 1\'b0;',
+        '',
+        '        // Drive the inputs with test vectors here',
+        ...top.inputs.map(port => `        ${port} = 1;`),
+        '',
+        '        // Wait for the results to come out of the pipeline',
+        '        repeat (LATENCY + 1) @(posedge clk);',
+        '',
+        '        // Compare the outputs against the expected values here',
+        ...top.outputs.map(port => `        $display("${port} = %0d", ${port});`),
+        '        $finish;',
+        '    end',
+        'endmodule',
+        ''
+    ].join('\n');
+}
+
+// Download the design and its testbench as two .sv files, or report why they cannot be generated
+function exportVerilog() {
+    if (!currentSource) return;
+
+    const baseName = getDiagramBaseName();
+    const result = generateVerilog(currentSource, baseName, verilogConfig);
+
+    // RTL with primitives missing would elaborate with dead logic, so nothing is written
+    if (result.problems.length > 0) {
+        result.problems.forEach(problem => {
+            addRuntimeDiagnostic('error', `Verilog not exported: ${problem.message}`, problem.elementId, 'verilog export');
+        });
+        return;
+    }
+
+    downloadFile(`${baseName}.sv`, result.design, 'text/plain');
+    downloadFile(`${baseName}_tb.sv`, result.testbench, 'text/plain');
+}
+
+// Wire up the Verilog export controls in the controls panel
+function setupVerilogControls() {
+    const width = document.getElementById('verilog-width');
+    const button = document.getElementById('export-verilog');
+
+    if (width) {
+        verilogConfig.dataWidth = parseInt(width.value, 10) || verilogConfig.dataWidth;
+        width.addEventListener('change', () => {
+            const value = parseInt(width.value, 10);
+            if (value > 0) {
+                verilogConfig.dataWidth = value;
+            } else {
+                width.value = verilogConfig.dataWidth;
+            }
+        });
+    }
+
+    if (button) {
+        button.addEventListener('click', exportVerilog);
+    }
+}
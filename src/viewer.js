@@ -10,6 +10,31 @@ let zoom;
 let lineGenerator;
 let gridGroup;
 
+// Currently loaded top-level elements and the IDs of modules expanded in place
+let currentElements = [];
+const expandedModules = new Set();
+
+// Vector ports ("elementId.portName") currently drawn as individual lanes instead of a bus
+const expandedBuses = new Set();
+
+// Unmodified copy of the loaded diagram data (edited by fixes and used for export),
+// the name of the file it came from, and the elements of the most recent layout
+let currentSource = null;
+let currentFileName = 'diagram.json';
+let currentLayoutElements = [];
+
+// Clock cycle at which the last output of the current layout is ready
+let currentPipelineDepth = 0;
+
+// Cone shown by a modifier-click, as { mode: 'fanin' | 'fanout' | 'path', elementId, otherId },
+// or null. Everything outside the cone is dimmed.
+let coneSelection = null;
+
+// Optional analyses drawn on top of the diagram
+const analysisConfig = {
+    pipelineBalance: false
+};
+
 // Grid configuration
 const gridConfig = {
     visible: true,
@@ -106,9 +131,64 @@ function setupEventListeners() {
 
     // Set up zoom control buttons
     setupZoomControls();
+    setupMinimap();
 
     // Set up grid control event listeners
     setupGridControls();
+    setupWireControls();
+
+    // Set up the diagnostics panel
+    setupDiagnosticsPanel();
+
+    // Set up analysis control event listeners
+    setupAnalysisControls();
+    setupBitWidthControls();
+    setupTimingControls();
+    setupResourceControls();
+    setupExportControls();
+    setupVerilogControls();
+    setupSimulationControls();
+    setupFlowControls();
+    setupVcdControls();
+    setupSearchControls();
+}
+
+// Set up analysis control event listeners
+function setupAnalysisControls() {
+    const balanceToggle = document.getElementById('balance-toggle');
+    const insertRegisters = document.getElementById('insert-registers');
+    const exportJson = document.getElementById('export-json');
+
+    // Pipeline balance markers
+    if (balanceToggle) {
+        balanceToggle.addEventListener('change', () => {
+            analysisConfig.pipelineBalance = balanceToggle.checked;
+            // The netlist is unchanged, so the simulation and VCD bindings are kept
+            clearRuntimeDiagnostics('pipeline balance');
+            renderCurrentDiagram();
+        });
+    }
+
+    // Insert the registers suggested by the pipeline balance analysis
+    if (insertRegisters) {
+        insertRegisters.addEventListener('click', () => {
+            if (!currentSource) return;
+
+            const result = insertBalancingRegisters(currentSource, currentLayoutElements);
+            refreshFromSource();
+
+            addRuntimeDiagnostic('info', `Inserted ${result.inserted} balancing register(s)`, null, 'pipeline balance');
+            result.skipped.forEach(message => addRuntimeDiagnostic('info', message, null, 'pipeline balance'));
+        });
+    }
+
+    // Download the (possibly corrected) diagram JSON
+    if (exportJson) {
+        exportJson.addEventListener('click', () => {
+            if (!currentSource) return;
+            downloadFile(`${getDiagramBaseName()}.json`, JSON.stringify(currentSource, null, 2), 'application/json');
+        });
+    }
 }
 
 // Set up grid control event listeners
@@ -136,17 +216,8 @@ function setupGridControls() {
                 renderGrid();
                 
                 // If a diagram is currently displayed, re-render it with new positions
-                if (diagram.selectAll('.primitive').size() > 0) {
-                    // Get the current data
-                    const primitives = diagram.selectAll('.primitive').data();
-                    const connections = diagram.selectAll('.connection').data();
-                    
-                    // Clear existing content
-                    diagram.selectAll('*').remove();
-                    
-                    // Re-render with new grid spacing
-                    renderPrimitives(primitives);
-                    renderConnections(connections);
+                if (currentElements.length > 0) {
+                    renderCurrentDiagram();
                 }
             }
         });
@@ -158,6 +229,11 @@ function setupZoomControls() {
     const zoomIn = document.getElementById('zoom-in');
     const zoomOut = document.getElementById('zoom-out');
     const zoomReset = document.getElementById('zoom-reset');
+    const zoomFit = document.getElementById('zoom-fit');
+
+    if (zoomFit) {
+        zoomFit.addEventListener('click', zoomToFit);
+    }
 
     if (zoomIn && zoomOut && zoomReset) {
         // Zoom in button
@@ -183,6 +259,43 @@ function setupZoomControls() {
     }
 }
 
+// Pan and zoom so the whole diagram fills the view
+function zoomToFit() {
+    const bounds = getDiagramBounds();
+    if (!bounds) return;
+
+    const container = document.getElementById('diagram-container');
+    const [minScale, maxScale] = zoom.scaleExtent();
+    const scale = Math.max(minScale, Math.min(maxScale,
+        0.9 * Math.min(container.clientWidth / bounds.width, container.clientHeight / bounds.height)));
+
+    svg.transition()
+       .duration(500)
+       .call(zoom.transform, d3.zoomIdentity
+           .translate(container.clientWidth / 2 - (bounds.x + bounds.width / 2) * scale,
+                      container.clientHeight / 2 - (bounds.y + bounds.height / 2) * scale)
+           .scale(scale));
+}
+
+// Bounding box of the laid-out elements in diagram coordinates, with a margin,
+// or null when nothing is drawn
+function getDiagramBounds() {
+    if (currentLayoutElements.length === 0) return null;
+
+    const margin = 20;
+    const left = Math.min(...currentLayoutElements.map(element => element.position.x - getElementWidth(element) / 2));
+    const right = Math.max(...currentLayoutElements.map(element => element.position.x + getElementWidth(element) / 2));
+    const top = Math.min(...currentLayoutElements.map(element => element.position.y - getElementHeight(element) / 2));
+    const bottom = Math.max(...currentLayoutElements.map(element => element.position.y + getElementHeight(element) / 2));
+
+    return {
+        x: left - margin,
+        y: top - margin,
+        width: right - left + margin * 2,
+        height: bottom - top + margin * 2
+    };
+}
+
 // Set up drag and drop functionality
 function setupDragAndDrop() {
     const diagramContainer = document.getElementById('diagram-container');
@@ -228,17 +341,7 @@ function setupDragAndDrop() {
             const reader = new FileReader();
 
             reader.onload = function(e) {
-                try {
-                    const data = JSON.parse(e.target.result);
-                    if (isValidDiagramData(data)) {
-                        renderDiagram(data);
-                    } else {
-                        alert('Invalid diagram format. Please check the JSON structure.');
-                    }
-                } catch (error) {
-                    alert('Error parsing JSON file: ' + error.message);
-                    console.error('Error parsing JSON:', error);
-                }
+                loadDiagramText(e.target.result, file.name);
             };
 
             reader.onerror = function() {
@@ -266,17 +369,7 @@ function handleFileSelect(event) {
     const reader = new FileReader();
 
     reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            if (isValidDiagramData(data)) {
-                renderDiagram(data);
-            } else {
-                alert('Invalid diagram format. Please check the JSON structure.');
-            }
-        } catch (error) {
-            alert('Error parsing JSON file: ' + error.message);
-            console.error('Error parsing JSON:', error);
-        }
+        loadDiagramText(e.target.result, file.name);
     };
 
     reader.onerror = function() {
@@ -286,97 +379,75 @@ function handleFileSelect(event) {
     reader.readAsText(file);
 }
 
-// Validate diagram data for the simplified format with module support
-function isValidDiagramData(data) {
-    // Basic validation - ensure data is an array
-    if (!data || !Array.isArray(data)) {
-        console.error('Diagram data must be an array');
+// Validate diagram data, list any problems in the diagnostics panel and render
+// the diagram unless a problem prevents it. Returns whether the diagram was rendered.
+function loadDiagramData(data) {
+    const diagnostics = validateDiagram(data);
+    showDiagnostics(diagnostics);
+
+    if (diagnostics.some(d => d.fatal)) {
         return false;
     }
 
-    // Check that primitives and modules have required properties
-    for (const element of data) {
-        // Every element must have id and type properties
-        if (!element.id || !element.type) {
-            console.error(`Element missing required id or type: ${JSON.stringify(element)}`);
-            return false;
-        }
+    // Keep an untouched copy: rendering adds layout and instantiation data to the elements
+    currentSource = JSON.parse(JSON.stringify(data));
 
-        // If element is a module, validate its module-specific properties
-        if (element.type === 'module') {
-            // Modules must have a moduleType
-            if (!element.moduleType) {
-                console.error(`Module ${element.id} is missing required moduleType property`);
-                return false;
-            }
+    renderDiagram(data);
+    return true;
+}
 
-            // Modules must have components array
-            if (!element.components || !Array.isArray(element.components)) {
-                console.error(`Module ${element.id} is missing required components array`);
-                return false;
-            }
+// Re-validate and redraw after currentSource has been edited, keeping the
+// expanded modules and buses as they are
+function refreshFromSource() {
+    if (!currentSource) return;
 
-            // Validate module components
-            for (const component of element.components) {
-                if (!component.id || !component.type) {
-                    console.error(`Module component missing required id or type: ${JSON.stringify(component)}`);
-                    return false;
-                }
+    const data = JSON.parse(JSON.stringify(currentSource));
+    showDiagnostics(validateDiagram(data));
+    currentElements = parseDiagramData(data);
+    renderCurrentDiagram();
+}
 
-                // All non-input components must have inputs defined
-                if (component.type !== 'input' && (!component.inputs || typeof component.inputs !== 'object')) {
-                    console.error(`Non-input component missing inputs: ${component.id}`);
-                    return false;
-                }
+// Offer a text file to the user as a download
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
 
-                // Validate component inputs
-                if (component.inputs) {
-                    for (const [portName, connection] of Object.entries(component.inputs)) {
-                        // Each connection string should be in format "primitiveId.portName" or "moduleId.portName"
-                        if (typeof connection !== 'string' || !connection.includes('.')) {
-                            console.error(`Invalid connection format in component ${component.id}: ${connection}`);
-                            return false;
-                        }
-                    }
-                }
-            }
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
 
-            // Modules must have outputs defined
-            if (!element.outputs || typeof element.outputs !== 'object') {
-                console.error(`Module ${element.id} is missing required outputs object`);
-                return false;
-            }
+    URL.revokeObjectURL(url);
+}
 
-            // Validate output connections
-            for (const [portName, connection] of Object.entries(element.outputs)) {
-                if (typeof connection !== 'string' || !connection.includes('.')) {
-                    console.error(`Invalid output connection format in module ${element.id}: ${connection}`);
-                    return false;
-                }
-            }
-        }
-        // For primitives and regular elements
-        else {
-            // All non-input primitives must have inputs defined
-            if (element.type !== 'input' && (!element.inputs || typeof element.inputs !== 'object')) {
-                console.error(`Non-input primitive missing inputs: ${element.id}`);
-                return false;
-            }
+// Base name of the loaded file, without its extension
+function getDiagramBaseName() {
+    return currentFileName.replace(/\.json$/i, '');
+}
 
-            // Validate that each input references a valid format (elementId.portName)
-            if (element.inputs) {
-                for (const [portName, connection] of Object.entries(element.inputs)) {
-                    // Each connection string should be in format "elementId.portName"
-                    if (typeof connection !== 'string' || !connection.includes('.')) {
-                        console.error(`Invalid connection format in element ${element.id}: ${connection}`);
-                        return false;
-                    }
-                }
-            }
-        }
+// Parse the text of a diagram file and load it, reporting JSON syntax errors as diagnostics
+function loadDiagramText(text, fileName) {
+    if (fileName) {
+        currentFileName = fileName;
     }
 
-    return true;
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        showDiagnostics([{
+            severity: 'error',
+            message: `Error parsing JSON file: ${error.message}`,
+            location: '(file)',
+            elementId: null,
+            fatal: true
+        }]);
+        return false;
+    }
+
+    return loadDiagramData(data);
 }
 
 // Set up the SVG canvas with zoom and pan capabilities
@@ -407,6 +478,7 @@ function initializeSVG() {
             // Apply the zoom transform to both diagram and grid
             diagram.attr('transform', event.transform);
             gridGroup.attr('transform', event.transform);
+            updateMinimapViewport(event.transform);
         });
 
     // Apply zoom behavior to SVG
@@ -425,6 +497,7 @@ function initializeSVG() {
     svg.on('click', () => {
         diagram.selectAll('.primitive').classed('selected', false);
         clearHighlights();
+        renderWaveformStrip();
     });
 
     // Initialize the line generator for connections
@@ -446,15 +519,18 @@ function loadDiagram(url) {
             return response.json();
         })
         .then(data => {
-            renderDiagram(data);
+            loadDiagramData(data);
         })
         .catch(error => {
             console.error('Error loading diagram:', error);
         });
 }
 
-// Calculate the clock cycle (horizontal position) for each element (primitive or module)
-function determinePrimitiveCycles(elements) {
+// Calculate the clock cycle (horizontal position) for each element (primitive or module).
+// An element's cycle is the cycle its output is ready: the latest input's cycle plus
+// the element's latency. Elements with a latency above 1 span the columns before it.
+// Wires that close a feedback loop are ignored so that loops cannot recurse forever.
+function determinePrimitiveCycles(elements, feedback = analyzeFeedback(elements)) {
     // Create a map to store the cycle for each element
     const cycles = new Map();
     // Create a map to store elements by their IDs for quick lookup
@@ -484,10 +560,11 @@ function determinePrimitiveCycles(elements) {
 
             // Process all module inputs to find the maximum cycle
             if (element.inputs) {
-                for (const [_, connection] of Object.entries(element.inputs)) {
-                    // Connection format is "elementId.portName"
-                    const sourceElementId = connection.split('.')[0];
-                    const sourceElement = elementsById.get(sourceElementId);
+                for (const { sourceId } of getInputConnections(element)) {
+                    // Feedback wires are drawn as back edges and do not affect placement
+                    if (feedback.backEdges.has(feedbackEdgeKey(sourceId, element.id))) continue;
+
+                    const sourceElement = elementsById.get(sourceId);
 
                     if (sourceElement) {
                         const inputCycle = calculateCycle(sourceElement);
@@ -496,8 +573,8 @@ function determinePrimitiveCycles(elements) {
                 }
             }
 
-            // The module's cycle is one more than the maximum input cycle
-            const cycle = maxInputCycle + 1;
+            // The module's output is ready its internal latency after the latest input
+            const cycle = Math.max(maxInputCycle + getElementLatency(element), 0);
             cycles.set(element.id, cycle);
 
             // For collapsed view, we don't need to calculate cycles for internal components
@@ -506,15 +583,16 @@ function determinePrimitiveCycles(elements) {
             return cycle;
         }
 
-        // For regular primitives, find the maximum cycle of their inputs and add 1
+        // For regular primitives, find the maximum cycle of their inputs and add the latency
         let maxInputCycle = -1;
 
         // Process all inputs to find the maximum cycle
         if (element.inputs) {
-            for (const [_, connection] of Object.entries(element.inputs)) {
-                // Connection format is "elementId.portName"
-                const sourceElementId = connection.split('.')[0];
-                const sourceElement = elementsById.get(sourceElementId);
+            for (const { sourceId } of getInputConnections(element)) {
+                // Feedback wires are drawn as back edges and do not affect placement
+                if (feedback.backEdges.has(feedbackEdgeKey(sourceId, element.id))) continue;
+
+                const sourceElement = elementsById.get(sourceId);
 
                 if (sourceElement) {
                     const inputCycle = calculateCycle(sourceElement);
@@ -523,8 +601,9 @@ function determinePrimitiveCycles(elements) {
             }
         }
 
-        // The element's cycle is one more than the maximum input cycle
-        const cycle = maxInputCycle + 1;
+        // The element's output is ready its latency after the latest input:
+        // combinational (latency 0) elements share their latest input's column
+        const cycle = Math.max(maxInputCycle + getElementLatency(element), 0);
         cycles.set(element.id, cycle);
         return cycle;
     }
@@ -537,140 +616,323 @@ function determinePrimitiveCycles(elements) {
     return cycles;
 }
 
-// Determine the vertical position for each element (primitive or module)
-function determinePrimitiveRows(elements, cycles) {
-    // Mixed approach: inputs in sequential rows, others based on average of inputs
-    const yPositions = new Map();
-    const elementsById = new Map();
-
-    // Build the elements lookup map (including both primitives and modules)
-    elements.forEach(element => {
-        elementsById.set(element.id, element);
-    });
-
-    // First, position all inputs sequentially
-    const inputElements = elements.filter(e => e.type === 'input');
-    inputElements.forEach((element, index) => {
-        yPositions.set(element.id, (index + 1) * gridConfig.spacing.y);
-    });
-
-    // Function to recursively calculate Y position for non-input elements
-    function calculateNonInputYPosition(element) {
-        // If already calculated, return it
-        if (yPositions.has(element.id)) {
-            return yPositions.get(element.id);
-        }
-
-        // For modules, special handling for vertical positioning
-        if (element.type === 'module') {
-            // If no inputs (should not happen for modules), use default position
-            if (!element.inputs) {
-                const yPos = gridConfig.spacing.y;
-                yPositions.set(element.id, yPos);
-                return yPos;
-            }
-
-            // Calculate average Y position of inputs
-            let totalY = 0;
-            let inputCount = 0;
-
-            for (const [_, connection] of Object.entries(element.inputs)) {
-                const sourceElementId = connection.split('.')[0];
-                const sourceElement = elementsById.get(sourceElementId);
-
-                if (sourceElement) {
-                    // Recursively get Y position of input
-                    const inputY = yPositions.has(sourceElement.id)
-                        ? yPositions.get(sourceElement.id)
-                        : calculateNonInputYPosition(sourceElement);
-
-                    totalY += inputY;
-                    inputCount++;
-                }
-            }
-
-            // Modules should be given more vertical space
-            const yPos = inputCount > 0 ? totalY / inputCount : gridConfig.spacing.y;
-            yPositions.set(element.id, yPos);
-            return yPos;
-        }
-
-        // Regular primitives (non-module, non-input)
-        // If no inputs (should not happen for non-inputs), use default position
-        if (!element.inputs) {
-            const yPos = gridConfig.spacing.y;
-            yPositions.set(element.id, yPos);
-            return yPos;
-        }
-
-        // Calculate average Y position of inputs
-        let totalY = 0;
-        let inputCount = 0;
+// Render the diagram from parsed JSON
+function renderDiagram(data) {
+    // Flatten either diagram format into a list of elements, instantiating
+    // module instances from their definitions
+    currentElements = parseDiagramData(data);
 
-        for (const [_, connection] of Object.entries(element.inputs)) {
-            const sourceElementId = connection.split('.')[0];
-            const sourceElement = elementsById.get(sourceElementId);
+    // A newly loaded diagram starts with every module collapsed and every bus drawn as one wire
+    expandedModules.clear();
+    expandedBuses.clear();
 
-            if (sourceElement) {
-                // Recursively get Y position of input
-                const inputY = yPositions.has(sourceElement.id)
-                    ? yPositions.get(sourceElement.id)
-                    : calculateNonInputYPosition(sourceElement);
+    // ...and with the signal flow animation off
+    pauseFlow();
+    flowCycle = null;
+    coneSelection = null;
 
-                totalY += inputY;
-                inputCount++;
-            }
-        }
+    // ...back at the top level, with no remembered views
+    drillPath.length = 0;
+    levelTransforms.clear();
 
-        // Calculate average Y
-        const yPos = inputCount > 0 ? totalY / inputCount : gridConfig.spacing.y;
-        yPositions.set(element.id, yPos);
-        return yPos;
-    }
+    renderCurrentDiagram();
 
-    // Calculate positions for all non-input elements
-    elements.filter(e => e.type !== 'input').forEach(element => {
-        calculateNonInputYPosition(element);
-    });
-
-    // Convert Y positions to row values
-    const rows = new Map();
-    elements.forEach(element => {
-        rows.set(element.id, yPositions.get(element.id) / gridConfig.spacing.y);
-    });
-
-    return rows;
+    // Results from a previous diagram no longer apply
+    renderSearchResults();
 }
 
-// Render the diagram from parsed JSON
-function renderDiagram(data) {
+// Lay out and render the current level of the loaded diagram, drawing expanded modules in place
+function renderCurrentDiagram() {
     // Clear existing content
     diagram.selectAll('*').remove();
+    diagram.classed('cone-active', false);
 
-    // In the simplified format, the data is an array of primitives
-    const primitives = data;
+    // The top level, or the netlist of the module drilled into
+    currentLevelElements = getLevelElements();
+
+    // Replace expanded modules with their internal components
+    const primitives = getLayoutElements(currentLevelElements);
+
+    // Find feedback loops: register-broken loops are laid out with back edges,
+    // purely combinational loops are reported as errors
+    const feedback = analyzeFeedback(primitives);
+    reportCombinationalLoops(feedback);
     
     // Determine clock cycles (x-positions) for each primitive
-    const cycles = determinePrimitiveCycles(primitives);
+    const cycles = determinePrimitiveCycles(primitives, feedback);
     
     // Determine row positions (y-positions) for each primitive
-    const rows = determinePrimitiveRows(primitives, cycles);
+    const rows = determinePrimitiveRows(primitives, cycles, feedback);
     
-    // Add calculated positions to primitives
+    // Add calculated positions to primitives. An element spanning several cycles is
+    // centered over its columns, ending in the column where its output is ready.
     primitives.forEach(primitive => {
         primitive.clock_cycle = cycles.get(primitive.id);
+        const column = primitive.clock_cycle - getSpanColumns(primitive) / 2;
         primitive.position = {
-            x: primitive.clock_cycle * gridConfig.spacing.x + gridConfig.spacing.x / 2,
+            x: column * gridConfig.spacing.x + gridConfig.spacing.x / 2,
             y: rows.get(primitive.id) * gridConfig.spacing.y
         };
     });
     
+    // Stretch the grid labels to the real pipeline depth
+    currentPipelineDepth = Math.max(0, ...primitives.map(primitive => primitive.clock_cycle));
+    renderGrid();
+
     // Extract connections from primitives
-    const connections = extractConnections(primitives);
+    const connections = extractConnections(primitives, feedback);
     
-    // Render the diagram
+    // Fixed-point types, shown in the tooltips and on the wires
+    updateSignalTypes();
+
+    // Render the diagram (expanded module containers first so they sit behind their components)
+    renderModuleContainers(primitives);
     renderPrimitives(primitives);
     renderConnections(connections);
+    markCombinationalLoops(feedback);
+
+    currentLayoutElements = primitives;
+
+    if (analysisConfig.pipelineBalance) {
+        renderPipelineBalance(analyzePipelineBalance(primitives, feedback));
+    }
+
+    renderSignalTypes();
+    renderCriticalPaths();
+
+    // A fan-in / fan-out cone follows the new layout (e.g. into an expanded module)
+    restoreCone();
+
+    // Current simulation values, when simulating
+    renderSimulationValues();
+    renderVcdValues();
+
+    // Resource counts follow the netlist (and the widths inferred above)
+    renderResourceReport();
+
+    // Overview of the new layout
+    renderMinimap();
+    renderBreadcrumbs();
+
+    // Signal flow highlights, when animating (clamped to the new pipeline depth)
+    if (flowCycle !== null) {
+        flowCycle = Math.min(flowCycle, currentPipelineDepth);
+    }
+    renderFlowState();
+}
+
+// Mark every input whose operand arrives before its siblings, with its slack in cycles
+function renderPipelineBalance(mismatches) {
+    mismatches.forEach(mismatch => {
+        const element = diagram.select(`#primitive-${mismatch.elementId}`);
+        if (element.empty()) return;
+
+        // Lanes of an expanded bus have their own port; otherwise mark the port (or whole bus)
+        let port = element.select(`#port-${mismatch.elementId}-${getPortKey(mismatch.port, mismatch.lane)}`);
+        if (port.empty()) {
+            port = element.select(`#port-${mismatch.elementId}-${mismatch.port}`);
+        }
+        if (port.empty()) return;
+
+        port.classed('port-unbalanced', true);
+
+        // A bus port can carry several early lanes; label it once with the largest slack
+        const labelId = `slack-${mismatch.elementId}-${port.attr('id')}`;
+        const existing = element.select(`[id="${labelId}"]`);
+        if (!existing.empty() && +existing.attr('data-slack') >= mismatch.slack) return;
+        existing.remove();
+
+        element.append('text')
+            .attr('class', 'slack-label')
+            .attr('id', labelId)
+            .attr('data-slack', mismatch.slack)
+            .attr('x', +port.attr('cx') - 8)
+            .attr('y', +port.attr('cy') - 8)
+            .attr('text-anchor', 'end')
+            .text(`−${mismatch.slack}`)
+            .append('title')
+            .text(`Arrives at cycle ${mismatch.arrival}, ${mismatch.slack} cycle(s) before it lines up with its sibling operands (cycle ${mismatch.expected})`);
+
+        const portName = mismatch.lane === null ? mismatch.port : `${mismatch.port}[${mismatch.lane}]`;
+        addRuntimeDiagnostic(
+            'warning',
+            `${mismatch.elementId}.${portName} (from ${mismatch.sourceId}) arrives at cycle ${mismatch.arrival} but lines up with its sibling operands at cycle ${mismatch.expected}: insert ${mismatch.slack} register(s)`,
+            mismatch.elementId,
+            'pipeline balance'
+        );
+    });
+}
+
+// Add a diagnostic for every feedback loop that has no register in it
+function reportCombinationalLoops(feedback) {
+    feedback.combinationalLoops.forEach(loop => {
+        const path = [...loop, loop[0]].join(' → ');
+        addRuntimeDiagnostic('error', `Combinational loop with no register: ${path}`, loop[0], 'netlist');
+    });
+}
+
+// Highlight the elements and wires along each combinational loop
+function markCombinationalLoops(feedback) {
+    feedback.combinationalLoops.forEach(loop => {
+        const wires = new Set(loop.map((id, index) => feedbackEdgeKey(id, loop[(index + 1) % loop.length])));
+
+        loop.forEach(id => diagram.select(`#primitive-${id}`).classed('loop-error', true));
+        diagram.selectAll('.connection')
+            .filter(d => connectionSources(d).some(sourceId => wires.has(feedbackEdgeKey(sourceId, d.target))))
+            .classed('loop-error', true);
+    });
+}
+
+// Build the list of elements to lay out: expanded modules are replaced by their
+// internal components (expanding nested modules in turn), and references to them
+// are rewired to the internal drivers
+function getLayoutElements(elements) {
+    const modulesById = new Map();
+    const layoutElements = [];
+
+    const addElements = list => list.forEach(element => {
+        if (element.type === 'module') {
+            modulesById.set(element.id, element);
+        }
+
+        if (element.type === 'module' && expandedModules.has(element.id)) {
+            addElements(element.components || []);
+        } else {
+            layoutElements.push(element);
+        }
+    });
+    addElements(elements);
+
+    if (expandedModules.size === 0) {
+        return layoutElements;
+    }
+
+    return layoutElements.map(element => {
+        if (!element.inputs) return element;
+
+        let rewired = false;
+        const inputs = {};
+
+        for (const [portName, value] of Object.entries(element.inputs)) {
+            const resolve = connection => {
+                const resolved = resolveExpandedReference(connection, modulesById);
+                if (resolved !== connection) rewired = true;
+                return resolved;
+            };
+            // A vector output of an expanded module resolves to one reference per lane
+            inputs[portName] = Array.isArray(value) ? value.map(resolve).flat() : resolve(value);
+        }
+
+        // Copy rather than modify the element so collapsing restores the original wiring
+        return rewired ? { ...element, inputs: inputs } : element;
+    });
+}
+
+// Follow a reference to an expanded module's output port to the internal component driving it
+function resolveExpandedReference(connection, modulesById) {
+    let reference = connection;
+
+    // Bounded so that a malformed output mapping cannot loop forever
+    for (let depth = 0; depth < modulesById.size && typeof reference === 'string'; depth++) {
+        const [sourceId, sourcePort] = reference.split('.');
+        if (!expandedModules.has(sourceId)) break;
+
+        const module = modulesById.get(sourceId);
+        reference = module.outputs ? module.outputs[sourcePort] : null;
+    }
+
+    // Vector outputs map to one internal driver per lane
+    if (Array.isArray(reference)) {
+        return reference.map(lane => resolveExpandedReference(lane, modulesById));
+    }
+
+    return reference;
+}
+
+// Draw a container box around the internal components of each expanded module.
+// Expanded modules nested inside another get their own box within the outer one.
+function renderModuleContainers(primitives) {
+    const padding = 45;
+    const titleHeight = 20;
+    const nestingMargin = 12;
+
+    // Expanded modules of the current level, outermost first so inner boxes are drawn on top
+    const expanded = [];
+    const collectExpanded = list => list
+        .filter(element => element.type === 'module' && expandedModules.has(element.id))
+        .forEach(module => {
+            expanded.push(module);
+            collectExpanded(module.components || []);
+        });
+    collectExpanded(currentLevelElements);
+
+    // Number of expanded levels nested inside a module, each needing room for its own box
+    const nestedDepth = module => Math.max(0, ...(module.components || [])
+        .filter(component => component.type === 'module' && expandedModules.has(component.id))
+        .map(component => nestedDepth(component) + 1));
+
+    expanded.forEach(module => {
+        const ids = new Set();
+        const collectIds = list => list.forEach(component => {
+            ids.add(component.id);
+            if (component.type === 'module') collectIds(component.components || []);
+        });
+        collectIds(module.components || []);
+
+        const components = primitives.filter(p => ids.has(p.id));
+        if (components.length === 0) return;
+
+        // Bounding box of the component centers, padded to enclose their bodies
+        // and the boxes of any expanded modules inside
+        const margin = nestedDepth(module) * nestingMargin;
+        const top = nestedDepth(module) * (nestingMargin + titleHeight);
+        const xs = components.map(c => c.position.x);
+        const ys = components.map(c => c.position.y);
+        const x = Math.min(...xs) - padding - margin;
+        const y = Math.min(...ys) - padding - titleHeight - top;
+        const width = Math.max(...xs) - Math.min(...xs) + (padding + margin) * 2;
+        const height = Math.max(...ys) - Math.min(...ys) + padding * 2 + titleHeight + top + margin;
+
+        const container = diagram.append('g')
+            .attr('class', `module-expanded module-level-${getModuleLevel(module)}`)
+            .attr('id', `module-expanded-${module.id}`)
+            .datum(module);
+
+        container.append('rect')
+            .attr('class', 'module-components-container')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('width', width)
+            .attr('height', height);
+
+        container.append('text')
+            .attr('class', 'module-expanded-label')
+            .attr('x', x + 8)
+            .attr('y', y + 14)
+            .text(`${module.label || module.id} (${formatModuleType(module)})`);
+
+        // Collapse button in the top-right corner of the container
+        container.append('circle')
+            .attr('class', 'module-expand-button')
+            .attr('cx', x + width - 12)
+            .attr('cy', y + 10)
+            .attr('r', 6)
+            .on('click', (event) => {
+                event.stopPropagation(); // Prevent propagation to SVG background
+                toggleModuleExpansion(module.id);
+            })
+            .append('title')
+            .text('Collapse module');
+
+        container.append('text')
+            .attr('class', 'module-expand-icon')
+            .attr('x', x + width - 12)
+            .attr('y', y + 13)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '12px')
+            .attr('font-weight', 'bold')
+            .text('−'); // Unicode minus sign for collapse
+    });
 }
 
 // Render primitives and modules as SVG elements
@@ -682,7 +944,8 @@ function renderPrimitives(elements) {
         .data(elements)
         .enter()
         .append('g')
-        .attr('class', d => `primitive primitive-${d.type}`)
+        .attr('class', d => d.type === 'module' ? `primitive primitive-module module-level-${getModuleLevel(d)}` : getPrimitiveClasses(d))
+        .classed('primitive-boundary', d => d.boundary === true) // Ports of the module drilled into
         .attr('id', d => `primitive-${d.id}`)
         .attr('data-clock-cycle', d => d.clock_cycle) // Store clock cycle as data attribute
         .attr('data-is-module', d => d.type === 'module') // Mark modules for special handling
@@ -695,42 +958,10 @@ function renderPrimitives(elements) {
     // Add rectangles for primitives and modules with different styling
     elementElements.append('rect')
         .attr('class', d => d.type === 'module' ? 'module-body' : 'primitive-body')
-        .attr('width', d => {
-            if (d.type === 'module') {
-                return 120; // Modules are larger
-            } else if (d.type === 'input' || d.type === 'output') {
-                return 80;
-            } else {
-                return 60;
-            }
-        })
-        .attr('height', d => {
-            if (d.type === 'module') {
-                return 80; // Modules are taller
-            } else if (d.type === 'input' || d.type === 'output') {
-                return 40;
-            } else {
-                return 60;
-            }
-        })
-        .attr('x', d => {
-            if (d.type === 'module') {
-                return -60; // Center the module
-            } else if (d.type === 'input' || d.type === 'output') {
-                return -40;
-            } else {
-                return -30;
-            }
-        })
-        .attr('y', d => {
-            if (d.type === 'module') {
-                return -40; // Center the module
-            } else if (d.type === 'input' || d.type === 'output') {
-                return -20;
-            } else {
-                return -30;
-            }
-        })
+        .attr('width', d => getElementWidth(d)) // Multi-cycle elements span several columns
+        .attr('height', d => getElementHeight(d)) // Modules are taller
+        .attr('x', d => -getElementWidth(d) / 2) // Center the element
+        .attr('y', d => -getElementHeight(d) / 2)
         .attr('rx', d => d.type === 'module' ? 8 : 5) // More rounded corners for modules
         .attr('ry', d => d.type === 'module' ? 8 : 5);
 
@@ -738,10 +969,10 @@ function renderPrimitives(elements) {
     elementElements.filter(d => d.type === 'module')
         .append('rect')
         .attr('class', 'module-title-bar')
-        .attr('width', 120)
+        .attr('width', d => getElementWidth(d))
         .attr('height', 20)
-        .attr('x', -60)
-        .attr('y', -40)
+        .attr('x', d => -getElementWidth(d) / 2)
+        .attr('y', d => -getModuleHeight(d) / 2)
         .attr('rx', 8)
         .attr('ry', 8);
 
@@ -749,8 +980,8 @@ function renderPrimitives(elements) {
     elementElements.filter(d => d.type === 'module')
         .append('circle')
         .attr('class', 'module-expand-button')
-        .attr('cx', 50)
-        .attr('cy', -30)
+        .attr('cx', d => getElementWidth(d) / 2 - 10)
+        .attr('cy', d => -getModuleHeight(d) / 2 + 10)
         .attr('r', 6)
         .on('click', (event, d) => {
             event.stopPropagation(); // Prevent propagation to module
@@ -761,57 +992,70 @@ function renderPrimitives(elements) {
     elementElements.filter(d => d.type === 'module')
         .append('text')
         .attr('class', 'module-expand-icon')
-        .attr('x', 50)
-        .attr('y', -27)
+        .attr('x', d => getElementWidth(d) / 2 - 10)
+        .attr('y', d => -getModuleHeight(d) / 2 + 13)
         .attr('text-anchor', 'middle')
         .attr('font-size', '12px')
         .attr('font-weight', 'bold')
         .text('+');
 
+    // Add a button to enter the module, showing only its internal netlist
+    elementElements.filter(d => d.type === 'module')
+        .append('circle')
+        .attr('class', 'module-expand-button module-enter-button')
+        .attr('cx', d => getElementWidth(d) / 2 - 26)
+        .attr('cy', d => -getModuleHeight(d) / 2 + 10)
+        .attr('r', 6)
+        .on('click', (event, d) => {
+            event.stopPropagation(); // Prevent propagation to module
+            enterModule(d.id);
+        })
+        .append('title')
+        .text('Enter module');
+
+    elementElements.filter(d => d.type === 'module')
+        .append('text')
+        .attr('class', 'module-expand-icon')
+        .attr('x', d => getElementWidth(d) / 2 - 26)
+        .attr('y', d => -getModuleHeight(d) / 2 + 13)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '10px')
+        .attr('font-weight', 'bold')
+        .text('»');
+
     // Add labels to elements - positioned precisely for crisp rendering
     elementElements.append('text')
         .attr('class', d => {
             if (d.type === 'module') {
                 return 'module-label';
-            } else {
-                return `primitive-label primitive-label-${d.type}`;
             }
+            const definition = getPrimitiveDefinition(d.type);
+            return `primitive-label primitive-label-${d.type}${definition && definition.glyph ? ' primitive-glyph' : ''}`;
         })
         .text(d => {
             // For modules, use the label or module type
             if (d.type === 'module') {
                 return d.label || d.moduleType || d.id;
             }
-            // Format labels based on primitive type
-            else if (d.type === 'add') {
-                return '+';
-            } else if (d.type === 'mul') {
-                return '×';
-            } else if (d.type === 'relu2') {
-                return 'ReLU²';
-            } else if (d.type === 'clamp') {
-                return 'clamp';
-            } else if (d.type === 'reg') {
-                return 'REG';
-            } else if (d.type === 'input' || d.type === 'output') {
-                // For input/output, use label or ID (typically x0, w0, y)
+            // Inputs and outputs show their label or ID (typically x0, w0, y)
+            if (d.type === 'input' || d.type === 'output') {
                 return d.label || d.id;
-            } else {
-                return d.label || d.type || d.id;
             }
+            // Other primitives show their type's glyph or symbol
+            const definition = getPrimitiveDefinition(d.type);
+            if (definition && (definition.glyph || definition.symbol)) {
+                return definition.glyph || formatPrimitiveSymbol(definition.symbol, d);
+            }
+            return d.label || d.type || d.id;
         })
         // Set vertical position based on element type for perfect alignment
         .attr('x', 0) // Center horizontally (text-anchor: middle handles this)
         .attr('y', d => {
             if (d.type === 'module') {
-                return -25; // Position in the title bar for modules
-            } else if (d.type === 'add' || d.type === 'mul') {
-                return -3; // More adjustment for operation symbols
-            } else if (d.type === 'input' || d.type === 'output') {
-                return -2; // More adjustment for IO nodes
-            } else {
-                return -2; // Default adjustment
+                return -getModuleHeight(d) / 2 + 15; // Position in the title bar for modules
             }
+            const definition = getPrimitiveDefinition(d.type);
+            return definition && definition.glyph ? -3 : -2; // More adjustment for operation glyphs
         })
         // Additional fine-tuning with dy
         .attr('dy', '0em');
@@ -824,15 +1068,34 @@ function renderPrimitives(elements) {
         .attr('y', 10)
         .attr('text-anchor', 'middle')
         .attr('font-size', '10px')
-        .text(d => d.moduleType || '');
+        .text(d => formatModuleType(d));
 
     // Add input and output ports to elements (primitives and modules)
     addPrimitivePorts(elementElements);
 
+    // Double-clicking a module expands it in place
+    elementElements.filter(d => d.type === 'module')
+        .on('dblclick', (event, d) => {
+            event.stopPropagation(); // Prevent the SVG double-click zoom reset
+            toggleModuleExpansion(d.id);
+        });
+
     // Add interaction capabilities to elements
     elementElements.on('click', (event, d) => {
         event.stopPropagation(); // Prevent propagation to SVG background
 
+        // Modifier-clicks show a cone: Shift the fan-in, Alt the fan-out and
+        // Ctrl (or Cmd) the paths between the selected element and this one
+        const selected = diagram.select('.primitive.selected');
+        if (event.shiftKey || event.altKey) {
+            showCone({ mode: event.shiftKey ? 'fanin' : 'fanout', elementId: d.id });
+            return;
+        }
+        if ((event.ctrlKey || event.metaKey) && !selected.empty() && selected.datum().id !== d.id) {
+            showCone({ mode: 'path', elementId: selected.datum().id, otherId: d.id });
+            return;
+        }
+
         // Toggle selected class on the clicked element
         const isSelected = d3.select(event.currentTarget).classed('selected');
 
@@ -849,77 +1112,109 @@ function renderPrimitives(elements) {
             // If it was already selected, deselect everything
             clearHighlights();
         }
+
+        renderWaveformStrip();
     });
 
     // Add tooltip with element details on hover, including clock cycle and module-specific info
     elementElements.append('title')
         .text(d => {
             let tooltip = `Type: ${d.type}\nID: ${d.id}\nClock Cycle: ${d.clock_cycle}`;
+            const definition = d.type === 'module' ? null : getPrimitiveDefinition(d.type);
+            if (definition && definition.description) {
+                tooltip += `\n${definition.description}`;
+            }
+            if (d.boundary) {
+                tooltip += `\nPort of the entered module`;
+            }
+            if (d.type !== 'input') {
+                tooltip += `\nLatency: ${formatLatency(getElementLatency(d))}`;
+            }
             if (d.type === 'module') {
-                tooltip += `\nModule Type: ${d.moduleType}`;
-                tooltip += `\nComponents: ${d.components.length}`;
-                tooltip += `\nDouble-click: Expand/collapse`;
+                tooltip += `\nModule Type: ${describeModuleType(d)}`;
+                tooltip += `\nLevel: ${getModuleLevel(d)}`;
+                tooltip += `\nComponents: ${d.components ? d.components.length : 0}`;
+
+                // Outputs of a module can be ready in different cycles
+                const latencies = getModuleOutputLatencies(d);
+                if (!isValidLatency(d.latency) && new Set(latencies.values()).size > 1) {
+                    tooltip += `\nOutput Latencies: ${Array.from(latencies, ([port, latency]) => `${port} ${latency}`).join(', ')}`;
+                }
+                tooltip += `\nDouble-click: Expand in place`;
+                tooltip += `\n» button: Enter the module`;
             }
+            // Fixed-point type of each output, where known
+            const outputPorts = d.type === 'module'
+                ? getModulePorts(d, 'outputs').map(port => port.name)
+                : (definition ? definition.outputs : ['out']);
+            outputPorts.forEach(port => {
+                const type = getSignalType(`${d.id}.${port}`);
+                if (type) {
+                    tooltip += `\nWidth${d.type === 'module' ? ` (${port})` : ''}: ${describeSignalType(type)}`;
+                }
+            });
             return tooltip;
         });
 
     return elementElements;
 }
 
+// Classes of a primitive's group: its type, and the colour class its definition declares
+function getPrimitiveClasses(primitive) {
+    const definition = getPrimitiveDefinition(primitive.type);
+    const color = definition && definition.colorClass ? ` primitive-color-${definition.colorClass}` : '';
+    return `primitive primitive-${primitive.type}${color}`;
+}
+
+// Module type for labels, prefixed with the level for layers and networks (e.g. "layer linear_layer")
+// and followed by any parameters the instance passes (e.g. "quantized_linear(N=8)")
+function formatModuleType(module) {
+    const level = getModuleLevel(module);
+    const type = describeModuleType(module) || '';
+    return level === 'module' ? type : `${level} ${type}`;
+}
+
+// Describe a latency for tooltips, e.g. "0 cycles (combinational)" or "3 cycles"
+function formatLatency(latency) {
+    if (latency === 0) {
+        return '0 cycles (combinational)';
+    }
+    return latency === 1 ? '1 cycle' : `${latency} cycles`;
+}
+
 // Toggle module expansion/collapse
 function toggleModuleExpansion(moduleId) {
-    console.log(`Toggle expansion for module: ${moduleId}`);
-
-    // Get the module element
-    const moduleElement = d3.select(`#primitive-${moduleId}`);
+    // The module may sit inside another expanded module of the current level
+    const findModule = list => {
+        for (const element of list) {
+            if (element.type !== 'module') continue;
+            if (element.id === moduleId) return element;
+            const found = findModule(element.components || []);
+            if (found) return found;
+        }
+        return null;
+    };
+    const module = findModule(currentLevelElements);
 
     // If the module is not found, return
-    if (moduleElement.empty()) {
+    if (!module) {
         console.error(`Module with ID ${moduleId} not found`);
         return;
     }
 
-    // Check if the module is currently expanded
-    const isExpanded = moduleElement.classed('expanded');
-
-    // Toggle the expanded class
-    moduleElement.classed('expanded', !isExpanded);
-
-    // Update the expand/collapse button icon
-    moduleElement.select('.module-expand-icon')
-        .text(isExpanded ? '+' : '−'); // Unicode minus sign for collapse
-
-    // Get the module data
-    const moduleData = moduleElement.datum();
-
-    if (isExpanded) {
-        // Module is currently expanded, so collapse it
-
-        // Remove the expanded module visualization (if any)
-        d3.select(`#module-expanded-${moduleId}`).remove();
-
-        // Display notification about implementation status
-        console.log(`Module ${moduleId} collapsed`);
+    if (expandedModules.has(moduleId)) {
+        expandedModules.delete(moduleId);
     } else {
-        // Module is currently collapsed, so expand it
-
-        // Display notification about future implementation
-        const message = `
-Expanded view for module "${moduleId}" will be fully implemented in the next phase.
-
-This would show the internal structure:
-- Module Type: ${moduleData.moduleType}
-- Components: ${moduleData.components ? moduleData.components.length : 0}
-- Inputs: ${moduleData.inputs ? Object.keys(moduleData.inputs).join(', ') : 'none'}
-- Outputs: ${moduleData.outputs ? Object.keys(moduleData.outputs).join(', ') : 'none'}
-`;
-
-        alert(message);
-
-        // Log to console for debugging
-        console.log(`Module ${moduleId} expanded`);
-        console.log('Module data:', moduleData);
+        // Nothing to draw for a module without internal components
+        if (!module.components || module.components.length === 0) {
+            console.warn(`Module ${moduleId} has no internal components to expand`);
+            return;
+        }
+        expandedModules.add(moduleId);
     }
+
+    // Re-run the layout so downstream elements shift by the module's internal latency
+    renderCurrentDiagram();
 }
 
 // Highlight connections related to a primitive
@@ -932,7 +1227,7 @@ function highlightConnections(primitiveId) {
     
     // Highlight connections where this primitive is source or target
     diagram.selectAll('.connection')
-        .classed('highlighted', d => d.source === primitiveId || d.target === primitiveId);
+        .classed('highlighted', d => connectionSources(d).includes(primitiveId) || d.target === primitiveId);
     
     // If the primitive has a clock cycle, highlight that cycle column
     if (primitiveData && primitiveData.clock_cycle !== undefined) {
@@ -940,10 +1235,93 @@ function highlightConnections(primitiveId) {
     }
 }
 
+// Pan and zoom to center an element and select it
+function focusElement(elementId) {
+    const container = document.getElementById('diagram-container');
+    let target = diagram.select(`#primitive-${elementId}`);
+    let center = null;
+
+    if (target.empty()) {
+        // Internal components of a collapsed module are shown through the innermost
+        // enclosing module that is drawn
+        const element = findElementById(elementId);
+        const parent = element ? getEnclosingModules(element).reverse()
+            .find(module => !diagram.select(`#primitive-${module.id}`).empty()) : null;
+        if (parent) {
+            target = diagram.select(`#primitive-${parent.id}`);
+        }
+    }
+
+    if (!target.empty()) {
+        center = target.datum().position;
+    } else {
+        // An expanded module is shown as its container box
+        const box = diagram.select(`#module-expanded-${elementId} .module-components-container`);
+        if (box.empty()) return;
+        center = {
+            x: +box.attr('x') + +box.attr('width') / 2,
+            y: +box.attr('y') + +box.attr('height') / 2
+        };
+    }
+
+    const scale = 1.5;
+    svg.transition()
+       .duration(500)
+       .call(zoom.transform, d3.zoomIdentity
+           .translate(container.clientWidth / 2 - center.x * scale, container.clientHeight / 2 - center.y * scale)
+           .scale(scale));
+
+    diagram.selectAll('.primitive').classed('selected', false);
+    if (!target.empty()) {
+        target.classed('selected', true);
+        highlightConnections(target.datum().id);
+    }
+    renderWaveformStrip();
+}
+
+// Select the element(s) of a cone, dim everything outside it and highlight its wires
+function showCone(selection) {
+    clearHighlights();
+    coneSelection = selection;
+
+    const cone = selection.mode === 'path'
+        ? getElementsBetween(currentLayoutElements, selection.elementId, selection.otherId)
+        : getElementCone(currentLayoutElements, selection.elementId, selection.mode);
+
+    diagram.classed('cone-active', true);
+    diagram.selectAll('.primitive')
+        .classed('selected', d => d.id === selection.elementId || d.id === selection.otherId)
+        .classed('in-cone', d => cone.has(d.id));
+    diagram.selectAll('.connection')
+        .classed('in-cone', d => cone.has(d.target) && connectionSources(d).some(sourceId => cone.has(sourceId)));
+
+    if (selection.mode === 'path' && cone.size === 0) {
+        addRuntimeDiagnostic('info', `No path connects ${selection.elementId} and ${selection.otherId}`, selection.elementId, 'cone');
+    }
+    renderWaveformStrip();
+}
+
+// Show the current cone again after a re-render, or drop it when its elements are gone
+function restoreCone() {
+    if (!coneSelection) return;
+
+    const ids = new Set(currentLayoutElements.map(element => element.id));
+    const selection = coneSelection;
+    coneSelection = null;
+    if (ids.has(selection.elementId) && (!selection.otherId || ids.has(selection.otherId))) {
+        showCone(selection);
+    }
+}
+
 // Clear all highlights
 function clearHighlights() {
     diagram.selectAll('.connection').classed('highlighted', false);
     gridGroup.selectAll('.grid-line-vertical').classed('highlighted', false);
+
+    // ...and any cone
+    coneSelection = null;
+    diagram.classed('cone-active', false);
+    diagram.selectAll('.in-cone').classed('in-cone', false);
 }
 
 // Highlight a specific clock cycle column
@@ -963,56 +1341,67 @@ function addPrimitivePorts(elementElements) {
         const elementType = d.type;
 
         // Determine the element dimensions based on its type
-        let width, height, xOffset, yOffset;
-
-        if (elementType === 'module') {
-            width = 120;
-            height = 80;
-            xOffset = -60;
-            yOffset = -40;
-        } else if (elementType === 'input' || elementType === 'output') {
-            width = 80;
-            height = 40;
-            xOffset = -40;
-            yOffset = -20;
-        } else {
-            width = 60;
-            height = 60;
-            xOffset = -30;
-            yOffset = -30;
-        }
+        const width = getElementWidth(d);
+        const xOffset = -width / 2;
+        const height = getElementHeight(d);
+
+        if (elementType !== 'module') {
+            // Primitives take the ports their type declares, centred along the side each is
+            // drawn on: inputs down the left and outputs down the right unless the type
+            // moves a port (e.g. a multiplexer's select) to the top or bottom
+            const definition = getPrimitiveDefinition(elementType);
+            if (!definition) return;
+
+            const ports = [...definition.inputs, ...definition.outputs];
+            primitivePortSides.forEach(side => {
+                const sidePorts = ports.filter(port => definition.sides[port] === side);
+                const vertical = side === 'left' || side === 'right';
+
+                getPrimitivePortOffsets(sidePorts, vertical ? height : width).forEach((offset, index) => {
+                    const portName = sidePorts[index];
+                    const x = vertical ? (side === 'left' ? xOffset : width + xOffset) : offset;
+                    const y = vertical ? offset : (side === 'top' ? -height / 2 : height / 2);
+
+                    if (definition.inputs.includes(portName)) {
+                        addInputPort(element, x, y, d.id, portName);
+                    } else {
+                        addOutputPort(element, x, y, d.id, portName);
+                    }
+                    // Connections read the side to decide how the wire leaves or arrives
+                    element.select(`#port-${d.id}-${portName}`).attr('data-side', side);
 
-        // Add ports based on element type
-        if (elementType === 'input') {
-            // Input elements only have output ports
-            addOutputPort(element, width + xOffset, 0, d.id, 'out');
-        }
-        else if (elementType === 'output') {
-            // Output elements only have input ports
-            addInputPort(element, xOffset, 0, d.id, 'in');
-        }
-        else if (elementType === 'add' || elementType === 'mul') {
-            // Add elements have two inputs and one output
-            addInputPort(element, xOffset, -10, d.id, 'in1');
-            addInputPort(element, xOffset, 10, d.id, 'in2');
-            addOutputPort(element, width + xOffset, 0, d.id, 'out');
-        }
-        else if (elementType === 'relu2' || elementType === 'clamp' || elementType === 'reg') {
-            // ReLU, clamp, and reg have one input and one output
-            addInputPort(element, xOffset, 0, d.id, 'in');
-            addOutputPort(element, width + xOffset, 0, d.id, 'out');
+                    if (definition.portLabels) {
+                        addPrimitivePortLabel(element, x, y, side, portName);
+                    }
+                });
+            });
         }
-        else if (elementType === 'module') {
-            // For modules, add ports based on their inputs and outputs definitions
+        else {
+            // For modules, add ports based on their inputs and outputs definitions.
+            // Vector ports take one slot as a bus, or one slot per lane when expanded.
 
-            // Determine the number of inputs and their positions
-            const inputPorts = d.inputs ? Object.keys(d.inputs) : [];
-            const inputSpacing = inputPorts.length > 1 ? height / (inputPorts.length + 1) : height / 2;
+            // Determine the number of input slots and their positions
+            const inputSlots = getModulePortSlots(d, 'inputs');
+            const inputSpacing = inputSlots.length > 1 ? height / (inputSlots.length + 1) : height / 2;
 
             // Add input ports
-            inputPorts.forEach((portId, index) => {
+            inputSlots.forEach((slot, index) => {
                 const y = -height/2 + (index + 1) * inputSpacing;
-                addInputPort(element, xOffset, y, d.id, portId);
+
+                if (slot.bus) {
+                    addBusPort(element, xOffset, y, d.id, slot.name, slot.size, 'input');
+                } else if (slot.lane !== null) {
+                    addInputPort(element, xOffset, y, d.id, getPortKey(slot.name, slot.lane));
+                    // Clicking a lane collapses the lanes back into a bus
+                    element.select(`#port-${d.id}-${getPortKey(slot.name, slot.lane)}`)
+                        .classed('port-lane', true)
+                        .on('click', (event) => {
+                            event.stopPropagation();
+                            toggleBusLanes(d.id, slot.name);
+                        });
+                } else {
+                    addInputPort(element, xOffset, y, d.id, slot.name);
+                }
 
                 // Add port label
                 element.append('text')
@@ -1022,17 +1411,22 @@ function addPrimitivePorts(elementElements) {
                     .attr('text-anchor', 'start')
                     .attr('font-size', '8px')
                     .attr('dominant-baseline', 'middle')
-                    .text(portId);
+                    .text(slot.label);
             });
 
-            // Determine the number of outputs and their positions
-            const outputPorts = d.outputs ? Object.keys(d.outputs) : [];
-            const outputSpacing = outputPorts.length > 1 ? height / (outputPorts.length + 1) : height / 2;
+            // Determine the number of output slots and their positions
+            const outputSlots = getModulePortSlots(d, 'outputs');
+            const outputSpacing = outputSlots.length > 1 ? height / (outputSlots.length + 1) : height / 2;
 
             // Add output ports
-            outputPorts.forEach((portId, index) => {
+            outputSlots.forEach((slot, index) => {
                 const y = -height/2 + (index + 1) * outputSpacing;
-                addOutputPort(element, width + xOffset, y, d.id, portId);
+
+                if (slot.bus) {
+                    addBusPort(element, width + xOffset, y, d.id, slot.name, slot.size, 'output');
+                } else {
+                    addOutputPort(element, width + xOffset, y, d.id, slot.name);
+                }
 
                 // Add port label
                 element.append('text')
@@ -1042,7 +1436,7 @@ function addPrimitivePorts(elementElements) {
                     .attr('text-anchor', 'end')
                     .attr('font-size', '8px')
                     .attr('dominant-baseline', 'middle')
-                    .text(portId);
+                    .text(slot.label);
             });
         }
     });
@@ -1064,6 +1458,19 @@ function addPrimitivePorts(elementElements) {
             .text(`Input: ${portId}`);
     }
 
+    // Function to label a primitive port just inside the body edge it sits on
+    function addPrimitivePortLabel(element, x, y, side, portName) {
+        const inset = 8;
+        element.append('text')
+            .attr('class', 'port-label')
+            .attr('x', side === 'left' ? x + inset : side === 'right' ? x - inset : x)
+            .attr('y', side === 'top' ? y + inset + 2 : side === 'bottom' ? y - inset - 2 : y)
+            .attr('text-anchor', side === 'left' ? 'start' : side === 'right' ? 'end' : 'middle')
+            .attr('font-size', '8px')
+            .attr('dominant-baseline', 'middle')
+            .text(portName);
+    }
+
     // Function to add an output port to an element
     function addOutputPort(element, x, y, elementId, portId) {
         // Create a port group to hold the port circle and label
@@ -1080,36 +1487,222 @@ function addPrimitivePorts(elementElements) {
             .append('title')
             .text(`Output: ${portId}`);
     }
+
+    // Function to add a vector port drawn as a single bus connector
+    function addBusPort(element, x, y, elementId, portId, size, direction) {
+        const portGroup = element.append('g')
+            .attr('class', 'port-group');
+
+        const busPort = portGroup.append('rect')
+            .attr('class', `port port-${direction} port-bus`)
+            .attr('id', `port-${elementId}-${portId}`)
+            .attr('x', x - portRadius)
+            .attr('y', y - portRadius * 1.5)
+            .attr('width', portRadius * 2)
+            .attr('height', portRadius * 3)
+            // Store the port center so connections can attach to it like a circle port
+            .attr('cx', x)
+            .attr('cy', y);
+
+        if (direction === 'input') {
+            // Clicking an input bus expands it into its individual lanes
+            busPort.on('click', (event) => {
+                event.stopPropagation();
+                toggleBusLanes(elementId, portId);
+            });
+            busPort.append('title')
+                .text(`Input bus: ${portId} [${size}]\nClick to show individual lanes`);
+        } else {
+            busPort.append('title')
+                .text(`Output bus: ${portId} [${size}]`);
+        }
+    }
+}
+
+// Offsets of a primitive's ports along one side, 20px apart and centred (e.g. -10 and 10
+// for two inputs), squeezed together when they would not fit the length of that side
+function getPrimitivePortOffsets(ports, length) {
+    const spacing = Math.min(20, length / (ports.length + 1));
+    return ports.map((port, index) => (index - (ports.length - 1) / 2) * spacing);
+}
+
+// Text of a primitive symbol with element properties filled in, e.g. "[{msb}:{lsb}]"
+// becomes "[7:4]"; a property the element does not set is left in braces
+function formatPrimitiveSymbol(symbol, element) {
+    return symbol.replace(/\{(\w+)\}/g, (match, name) => element[name] !== undefined ? String(element[name]) : match);
 }
 
-// Extract connections from element (primitive or module) inputs
-function extractConnections(elements) {
+// Width of an element body: the size its primitive type declares (modules are larger).
+// Elements with a latency above one clock cycle are stretched across the extra columns
+// they occupy.
+function getElementWidth(element) {
+    let width;
+    if (element.type === 'module') {
+        width = 120;
+    } else {
+        const definition = getPrimitiveDefinition(element.type);
+        width = definition ? definition.width : defaultPrimitiveSize.width;
+    }
+    return width + getSpanColumns(element) * gridConfig.spacing.x;
+}
+
+// Height of an element's body: modules grow with their ports, primitives take the
+// size their type declares
+function getElementHeight(element) {
+    if (element.type === 'module') {
+        return getModuleHeight(element);
+    }
+    const definition = getPrimitiveDefinition(element.type);
+    return definition ? definition.height : defaultPrimitiveSize.height;
+}
+
+// Height of a module body, grown so that every port slot has room
+function getModuleHeight(module) {
+    const slots = Math.max(
+        getModulePortSlots(module, 'inputs').length,
+        getModulePortSlots(module, 'outputs').length
+    );
+    return Math.max(80, (slots + 1) * 16);
+}
+
+// List the port positions drawn on one side of a module. A vector port is a
+// single bus slot unless its lanes have been expanded (inputs only).
+function getModulePortSlots(module, direction) {
+    const slots = [];
+
+    getModulePorts(module, direction).forEach(port => {
+        const value = module[direction] ? module[direction][port.name] : undefined;
+        const lanesExpanded = direction === 'inputs'
+            && expandedBuses.has(`${module.id}.${port.name}`)
+            && Array.isArray(value);
+
+        if (port.size > 1 && lanesExpanded) {
+            for (let lane = 0; lane < port.size; lane++) {
+                slots.push({ name: port.name, size: 1, lane: lane, bus: false, label: `${port.name}[${lane}]` });
+            }
+        } else {
+            slots.push({
+                name: port.name,
+                size: port.size,
+                lane: null,
+                bus: port.size > 1,
+                label: port.size > 1 ? `${port.name}[${port.size}]` : port.name
+            });
+        }
+    });
+
+    return slots;
+}
+
+// Port key used in DOM IDs: the port name, suffixed with the lane index for vector lanes
+function getPortKey(portName, lane) {
+    return lane === null || lane === undefined ? portName : `${portName}-${lane}`;
+}
+
+// Toggle a module's vector input between a single bus and its individual lanes
+function toggleBusLanes(elementId, portName) {
+    const key = `${elementId}.${portName}`;
+
+    if (expandedBuses.has(key)) {
+        expandedBuses.delete(key);
+    } else {
+        expandedBuses.add(key);
+    }
+
+    renderCurrentDiagram();
+}
+
+// Extract connections from element (primitive or module) inputs.
+// Wires listed in feedback.backEdges are marked so they are drawn as back edges.
+function extractConnections(elements, feedback = { backEdges: new Set() }) {
     const connections = [];
 
     // Process regular element connections
     elements.forEach(element => {
-        if (element.inputs) {
-            for (const [targetPort, sourceConnection] of Object.entries(element.inputs)) {
-                // Parse the source connection (format: "elementId.portName")
-                const [sourceElementId, sourcePort] = sourceConnection.split('.');
-
-                // Create a connection object
-                connections.push({
-                    source: sourceElementId,
-                    target: element.id,
-                    sourcePort: sourcePort,
-                    targetPort: targetPort
-                });
+        // Vector ports of modules are drawn as one bus wire unless their lanes are expanded
+        const vectorPorts = new Map();
+        if (element.type === 'module') {
+            getModulePorts(element, 'inputs')
+                .filter(port => port.size > 1)
+                .forEach(port => vectorPorts.set(port.name, port.size));
+        }
+
+        const buses = new Map();
+
+        for (const input of getInputConnections(element)) {
+            const width = vectorPorts.get(input.port);
+            const lanesExpanded = expandedBuses.has(`${element.id}.${input.port}`) && input.index !== null;
+
+            if (width && !lanesExpanded) {
+                // Collect every lane of the vector port into a single bus connection
+                if (!buses.has(input.port)) {
+                    const bus = {
+                        source: input.sourceId,
+                        target: element.id,
+                        sourcePort: input.sourcePort,
+                        targetPort: input.port,
+                        bus: true,
+                        width: width,
+                        lanes: []
+                    };
+                    buses.set(input.port, bus);
+                    connections.push(bus);
+                }
+                buses.get(input.port).lanes.push({ source: input.sourceId, sourcePort: input.sourcePort });
+                continue;
             }
+
+            // Create a connection object (vector lanes attach to their own lane port)
+            connections.push({
+                source: input.sourceId,
+                target: element.id,
+                sourcePort: input.sourcePort,
+                targetPort: width ? getPortKey(input.port, input.index) : input.port,
+                backEdge: feedback.backEdges.has(feedbackEdgeKey(input.sourceId, element.id))
+            });
         }
 
-        // If this is a module, we don't extract internal connections for collapsed view
-        // Internal connections will be handled when expanded
+        // Collapsed modules contribute no internal connections; expanded modules
+        // have already been replaced by their components
     });
 
     return connections;
 }
 
+// Every element a connection is driven from (a bus may gather lanes from several sources)
+function connectionSources(connection) {
+    return connection.lanes ? connection.lanes.map(lane => lane.source) : [connection.source];
+}
+
+// List the connections wired into an element's inputs, flattening vector (array) inputs
+function getInputConnections(element) {
+    const inputs = [];
+
+    if (!element.inputs) {
+        return inputs;
+    }
+
+    for (const [portName, value] of Object.entries(element.inputs)) {
+        const values = Array.isArray(value) ? value : [value];
+
+        values.forEach((connection, index) => {
+            // Skip references that could not be resolved (e.g. a missing module input)
+            if (typeof connection !== 'string') return;
+
+            // Connection format is "elementId.portName"
+            const [sourceId, sourcePort] = connection.split('.');
+            inputs.push({
+                port: portName,
+                index: Array.isArray(value) ? index : null,
+                sourceId: sourceId,
+                sourcePort: sourcePort
+            });
+        });
+    }
+
+    return inputs;
+}
+
 // Render connections between primitives
 function renderConnections(connections) {
     // Create connections
@@ -1123,11 +1716,34 @@ function renderConnections(connections) {
     // Update connection paths
     updateConnectionPaths(connectionElements);
 
+    // Mark each bus wire with a slash and its width
+    const busLabels = diagram.selectAll('.bus-width-label')
+        .data(connections.filter(d => d.bus && d.labelPosition))
+        .enter()
+        .append('g')
+        .attr('class', 'bus-width-label')
+        .attr('transform', d => `translate(${d.labelPosition.x}, ${d.labelPosition.y})`);
+
+    busLabels.append('line')
+        .attr('class', 'bus-slash')
+        .attr('x1', -4)
+        .attr('y1', 6)
+        .attr('x2', 4)
+        .attr('y2', -6);
+
+    busLabels.append('text')
+        .attr('x', 5)
+        .attr('y', -7)
+        .text(d => d.width);
+
     return connectionElements;
 }
 
 // Update connection paths based on primitive positions
 function updateConnectionPaths(connectionElements) {
+    // Orthogonal wires are routed together, so parallel wires can be spread apart
+    const routes = wireConfig.style === 'orthogonal' ? routeOrthogonalWires(connectionElements.data()) : new Map();
+
     connectionElements.each(function(d) {
         const connection = d3.select(this);
 
@@ -1136,16 +1752,16 @@ function updateConnectionPaths(connectionElements) {
         const targetPrimitive = d3.select(`#primitive-${d.target}`);
 
         if (sourcePrimitive.empty() || targetPrimitive.empty()) {
-            console.warn(`Connection ${d.source} -> ${d.target} references non-existent primitive(s)`);
+            addRuntimeDiagnostic('error', `Connection ${d.source} -> ${d.target} references non-existent primitive(s)`, d.target);
             return;
         }
 
         // Determine source and target ports
-        const sourcePort = d3.select(`#port-${d.source}-${d.sourcePort || 'out'}`);
-        const targetPort = d3.select(`#port-${d.target}-${d.targetPort || 'in'}`);
+        const sourcePort = d3.select(`#port-${d.source}-${d.sourcePort}`);
+        const targetPort = d3.select(`#port-${d.target}-${d.targetPort}`);
 
         if (sourcePort.empty() || targetPort.empty()) {
-            console.warn(`Connection ports not found for ${d.source}:${d.sourcePort} -> ${d.target}:${d.targetPort}`);
+            addRuntimeDiagnostic('warning', `Connection ports not found for ${d.source}:${d.sourcePort} -> ${d.target}:${d.targetPort}; drawn between element centers`, d.target);
 
             // Fall back to using primitive positions if ports are not found
             const sourceData = d3.select(sourcePrimitive.node()).datum();
@@ -1170,6 +1786,40 @@ function updateConnectionPaths(connectionElements) {
         const sourcePortPos = getPortPosition(sourcePort, sourcePrimitive);
         const targetPortPos = getPortPosition(targetPort, targetPrimitive);
 
+        // Feedback wires loop back underneath their source and target
+        if (d.backEdge) {
+            connection.classed('connection-feedback', true);
+            connection.attr('d', getBackEdgePath(sourcePortPos, targetPortPos));
+            addArrows(connection);
+            return;
+        }
+
+        // Bus wires gather their lanes at a joint just before the target port
+        if (d.bus) {
+            connection.classed('connection-bus', true);
+            connection.attr('d', getBusPath(d, targetPortPos));
+            addArrows(connection);
+            return;
+        }
+
+        // Wires to or from a port on the top or bottom of a body run at right angles
+        const sourceSide = sourcePort.attr('data-side');
+        const targetSide = targetPort.attr('data-side');
+        if (isVerticalSide(sourceSide) || isVerticalSide(targetSide)) {
+            const targetData = targetPrimitive.datum();
+            const targetLeft = targetData.position.x - getElementWidth(targetData) / 2;
+            connection.attr('d', getSidePortPath(sourcePortPos, sourceSide, targetPortPos, targetSide, targetLeft));
+            addArrows(connection);
+            return;
+        }
+
+        // Routed wires run along the channels between the columns
+        if (routes.has(d)) {
+            connection.attr('d', lineGenerator(routes.get(d)));
+            addArrows(connection);
+            return;
+        }
+
         // Create a path with a slight curve
         const dx = targetPortPos.x - sourcePortPos.x;
         const dy = targetPortPos.y - sourcePortPos.y;
@@ -1177,7 +1827,7 @@ function updateConnectionPaths(connectionElements) {
 
         // Determine if we should use a curved or straight line
         let pathData;
-        if (Math.abs(dx) > 80 || Math.abs(dy) > 60) {
+        if (wireConfig.style === 'straight' || Math.abs(dx) > 80 || Math.abs(dy) > 60) {
             // Use a straight line for connections that are far apart
             pathData = lineGenerator([
                 { x: sourcePortPos.x, y: sourcePortPos.y },
@@ -1195,6 +1845,94 @@ function updateConnectionPaths(connectionElements) {
         addArrows(connection);
     });
 
+    // Dots where a routed net branches
+    renderWireJunctions();
+
+    // Helper function to build a back-edge path: out to the right, below both
+    // elements, back to the left and into the target port
+    function getBackEdgePath(sourcePortPos, targetPortPos) {
+        const below = Math.max(sourcePortPos.y, targetPortPos.y) + gridConfig.spacing.y * 0.6;
+        return lineGenerator([
+            sourcePortPos,
+            { x: sourcePortPos.x + 15, y: sourcePortPos.y },
+            { x: sourcePortPos.x + 15, y: below },
+            { x: targetPortPos.x - 15, y: below },
+            { x: targetPortPos.x - 15, y: targetPortPos.y },
+            targetPortPos
+        ]);
+    }
+
+    // Whether a port sits on the top or bottom edge of its body
+    function isVerticalSide(side) {
+        return side === 'top' || side === 'bottom';
+    }
+
+    // Helper function to build an orthogonal path for a wire with a port on the top or
+    // bottom of a body: a short stub straight out of the source port, a horizontal run to
+    // a vertical jog (just before the target body when the wire enters from above or
+    // below), and a short stub straight into the target port
+    function getSidePortPath(sourcePortPos, sourceSide, targetPortPos, targetSide, targetLeft) {
+        const stub = 15;
+        const start = isVerticalSide(sourceSide)
+            ? { x: sourcePortPos.x, y: sourcePortPos.y + (sourceSide === 'top' ? -stub : stub) }
+            : { x: sourcePortPos.x + stub, y: sourcePortPos.y };
+        const end = isVerticalSide(targetSide)
+            ? { x: targetPortPos.x, y: targetPortPos.y + (targetSide === 'top' ? -stub : stub) }
+            : { x: targetPortPos.x - stub, y: targetPortPos.y };
+        const jogX = isVerticalSide(targetSide) ? Math.max(start.x, targetLeft - stub) : end.x;
+
+        return lineGenerator([
+            sourcePortPos,
+            start,
+            { x: jogX, y: start.y },
+            { x: jogX, y: end.y },
+            end,
+            targetPortPos
+        ]);
+    }
+
+    // Helper function to build a bus path: one feeder per lane into a joint, then a trunk to the port
+    function getBusPath(d, targetPortPos) {
+        const lanePositions = [];
+        d.lanes.forEach(lane => {
+            const lanePort = d3.select(`#port-${lane.source}-${lane.sourcePort}`);
+            if (lanePort.empty()) {
+                addRuntimeDiagnostic('warning', `Bus lane port not found for ${lane.source}:${lane.sourcePort} -> ${d.target}:${d.targetPort}`, d.target);
+                return;
+            }
+            lanePositions.push(getPortPosition(lanePort, d3.select(`#primitive-${lane.source}`)));
+        });
+
+        if (lanePositions.length === 0) {
+            return null;
+        }
+
+        // A single source is already a vector (e.g. a module's vector output): draw it straight
+        if (lanePositions.length === 1) {
+            const start = lanePositions[0];
+            d.labelPosition = { x: (start.x + targetPortPos.x) / 2, y: (start.y + targetPortPos.y) / 2 };
+            return lineGenerator([start, targetPortPos]);
+        }
+
+        // Place the joint up to 30px before the port, but never behind the nearest lane source
+        const nearestX = Math.max(...lanePositions.map(pos => pos.x));
+        const joint = {
+            x: targetPortPos.x - Math.max(0, Math.min(30, (targetPortPos.x - nearestX) / 2)),
+            y: targetPortPos.y
+        };
+
+        // Without room for a trunk the lanes run straight into the port
+        if (joint.x >= targetPortPos.x - 1) {
+            d.labelPosition = { x: targetPortPos.x - 10, y: targetPortPos.y };
+            return lanePositions.map(pos => `M${pos.x},${pos.y} L${targetPortPos.x},${targetPortPos.y}`).join(' ');
+        }
+
+        d.labelPosition = { x: joint.x + 12, y: joint.y };
+
+        const feeders = lanePositions.map(pos => `M${pos.x},${pos.y} L${joint.x},${joint.y}`);
+        return `${feeders.join(' ')} M${joint.x},${joint.y} L${targetPortPos.x},${targetPortPos.y}`;
+    }
+
     // Helper function to calculate port position in global coordinates
     function getPortPosition(port, primitive) {
         if (port.empty() || primitive.empty()) {
@@ -1280,47 +2018,69 @@ function renderGrid() {
     const height = container.clientHeight;
     
     // Calculate grid size - add extra to ensure it extends beyond viewport
-    const cols = Math.ceil(width / gridConfig.spacing.x) + 5;
+    // and past the last clock cycle of the diagram
+    const cols = Math.max(Math.ceil(width / gridConfig.spacing.x) + 5, currentPipelineDepth + 2);
     const rows = Math.ceil(height / gridConfig.spacing.y) + 5;
-    
+
+    drawGrid(gridGroup, cols, rows);
+}
+
+// Draw grid lines, clock cycle labels and the pipeline depth marker into a group.
+// The grid has cols columns and rows rows from the first column and row given (the
+// origin by default); only columns from 0 on are labelled as clock cycles.
+function drawGrid(group, cols, rows, first = { col: 0, row: 0 }) {
+    const columns = d3.range(first.col, first.col + cols);
+    const gridRows = d3.range(first.row, first.row + rows);
+
     // Create vertical lines for clock cycles
-    const verticalLines = gridGroup.selectAll('.grid-line-vertical')
-        .data(d3.range(cols))
+    const verticalLines = group.selectAll('.grid-line-vertical')
+        .data(columns)
         .enter()
         .append('line')
         .attr('class', 'grid-line grid-line-vertical')
         .attr('x1', d => d * gridConfig.spacing.x)
-        .attr('y1', -gridConfig.spacing.y) // Start above the visible area
+        .attr('y1', (first.row - 1) * gridConfig.spacing.y) // Start above the visible area
         .attr('x2', d => d * gridConfig.spacing.x)
-        .attr('y2', rows * gridConfig.spacing.y)
+        .attr('y2', (first.row + rows) * gridConfig.spacing.y)
         .attr('stroke', gridConfig.color)
         .attr('stroke-width', gridConfig.thickness);
     
     // Create horizontal lines for rows
-    const horizontalLines = gridGroup.selectAll('.grid-line-horizontal')
-        .data(d3.range(rows))
+    const horizontalLines = group.selectAll('.grid-line-horizontal')
+        .data(gridRows)
         .enter()
         .append('line')
         .attr('class', 'grid-line grid-line-horizontal')
-        .attr('x1', -gridConfig.spacing.x) // Start to the left of visible area
+        .attr('x1', (first.col - 1) * gridConfig.spacing.x) // Start to the left of visible area
         .attr('y1', d => d * gridConfig.spacing.y)
-        .attr('x2', cols * gridConfig.spacing.x)
+        .attr('x2', (first.col + cols) * gridConfig.spacing.x)
         .attr('y2', d => d * gridConfig.spacing.y)
         .attr('stroke', gridConfig.color)
         .attr('stroke-width', gridConfig.thickness);
     
     // Add clock cycle labels
-    const clockLabels = gridGroup.selectAll('.clock-cycle-label')
-        .data(d3.range(cols))
+    const clockLabels = group.selectAll('.clock-cycle-label')
+        .data(columns.filter(d => d >= 0))
         .enter()
         .append('text')
-        .attr('class', 'clock-cycle-label')
+        .attr('class', d => d > currentPipelineDepth ? 'clock-cycle-label beyond-depth' : 'clock-cycle-label')
         .attr('x', d => d * gridConfig.spacing.x + gridConfig.spacing.x / 2)
         .attr('y', -5) // Position above the grid
         .attr('text-anchor', 'middle')
         .attr('font-size', '10px')
         .attr('fill', '#666')
         .text(d => `c${d}`);
+
+    // Mark the cycle at which the diagram's results are ready
+    if (currentPipelineDepth > 0) {
+        group.append('text')
+            .attr('class', 'pipeline-depth-label')
+            .attr('x', currentPipelineDepth * gridConfig.spacing.x + gridConfig.spacing.x / 2)
+            .attr('y', -17)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .text(`depth ${currentPipelineDepth}`);
+    }
 }
 
 // Get primitive position (now all primitives have calculated positions)